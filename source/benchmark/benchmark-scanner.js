@@ -0,0 +1,81 @@
+
+'use strict';
+
+//  Measures how long it takes to find mash blocks in large texts with many decoy tags.
+//  Run with `make benchmark`.
+
+const _ = require('lodash');
+const util = require('util');
+const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+
+const LINE = 'INSERT INTO log (id, message) VALUES (42, \'Lorem ipsum dolor sit amet.\');\n';
+const LINE_COUNT = 50000;
+const DECOY_COUNT = 5000;
+const REPETITIONS = 5;
+
+const BEGIN_TAG = '\n-- BEGIN GENERATED\n';
+const END_TAG = '\n-- END GENERATED (%fingerprint%)\n';
+const SOURCE_TEXT = 'SELECT 1;';
+const ORPHANED_END_TAG = END_TAG.replace(UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+    '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH));
+
+//  Returns the text of the given number of lines with the decoys spread evenly among them.
+const linesWithDecoys = (lineCount, decoy, decoyCount) => {
+    const lines = _.times(lineCount, _.constant(LINE));
+    const step = Math.floor(lineCount / Math.max(decoyCount, 1));
+    for (var index = 0; index < decoyCount; ++index) {
+        lines[index * step] += decoy;
+    }
+    return lines.join('');
+};
+
+const mashedBlock = UnstructuredTextMasher.mash('', BEGIN_TAG, SOURCE_TEXT, END_TAG);
+
+//  Returns the text with the given number of begin tags followed by as many orphaned
+//  end tags, the worst case for pairing the tags up.
+const beginTagsBeforeEndTags = (decoyCount) =>
+    linesWithDecoys(LINE_COUNT / 2, BEGIN_TAG, decoyCount) +
+    linesWithDecoys(LINE_COUNT / 2, ORPHANED_END_TAG, decoyCount);
+
+const SCENARIOS = {
+    'no tags': linesWithDecoys(LINE_COUNT, '', 0),
+    'orphaned begin tags': linesWithDecoys(LINE_COUNT, BEGIN_TAG, DECOY_COUNT),
+    'orphaned end tags before a valid block':
+        linesWithDecoys(LINE_COUNT, ORPHANED_END_TAG, DECOY_COUNT) + mashedBlock,
+    'orphaned end tags after a valid block':
+        mashedBlock + linesWithDecoys(LINE_COUNT, ORPHANED_END_TAG, DECOY_COUNT),
+    'tampered blocks before a valid block':
+        linesWithDecoys(LINE_COUNT, '', 0) +
+        _.times(DECOY_COUNT / 25, _.constant(mashedBlock.replace(SOURCE_TEXT, 'SELECT 2;'))).join('') +
+        mashedBlock,
+    'interleaved begin and orphaned end tags':
+        linesWithDecoys(LINE_COUNT, BEGIN_TAG + LINE + ORPHANED_END_TAG, DECOY_COUNT),
+    //  Twice as many tags in the same text should take about the same time, not four times as much.
+    'begin tags followed by orphaned end tags': beginTagsBeforeEndTags(DECOY_COUNT / 2),
+    'twice as many begin tags followed by orphaned end tags': beginTagsBeforeEndTags(DECOY_COUNT)
+};
+
+const OPERATIONS = {
+    mash: (text) => UnstructuredTextMasher.mash(text, BEGIN_TAG, SOURCE_TEXT, END_TAG),
+    textIsMashed: (text) => UnstructuredTextMasher.textIsMashed(text, BEGIN_TAG, SOURCE_TEXT, END_TAG),
+    //  Without the source text every end tag following a begin tag may close its block.
+    anyIsMashed: (text) => UnstructuredTextMasher.textIsMashed(text, BEGIN_TAG, undefined, END_TAG),
+    inspect: (text) => UnstructuredTextMasher.inspect(text, BEGIN_TAG, END_TAG)
+};
+
+//  Returns the average duration of the function calls in milliseconds.
+const measure = (fn) => {
+    const start = process.hrtime();
+    for (var repetition = 0; repetition < REPETITIONS; ++repetition) {
+        fn();
+    }
+    const duration = process.hrtime(start);
+    return (duration[0] * 1e3 + duration[1] / 1e6) / REPETITIONS;
+};
+
+_.forEach(SCENARIOS, (text, scenario) => {
+    console.log(util.format('%s (%d KB)', scenario, Math.round(text.length / 1024)));
+    _.forEach(OPERATIONS, (operation, name) => {
+        console.log(util.format('  %s: %s ms', _.padEnd(name, 12), measure(() => operation(text)).toFixed(2)));
+    });
+});
@@ -0,0 +1,278 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const util = require('util');
+const minimist = require('minimist');
+const UnstructuredTextMasher = require('./unstructured-text-masher');
+const TextFile = require('./text-file');
+
+const TamperPolicy = UnstructuredTextMasher.TamperPolicy;
+const ReportFormat = UnstructuredTextMasher.ReportFormat;
+
+const ExitCode = {
+    Success: 0,
+    CheckFailed: 1,
+    UsageError: 2,
+    Error: 3
+};
+
+const USAGE = [
+    'Usage:',
+    '  unstructured-text-masher mash <file> [<tags>] --source <file|-> [--dry-run] [--all]',
+    '  unstructured-text-masher check <files...> [<tags>]',
+    '  unstructured-text-masher verify [<directory>] [<tags>] [--format <format>]',
+    '',
+    'Commands:',
+    '  mash   Mashes the source text into the file in place. With --dry-run the file is',
+    '         left intact and the changes that would be made are printed as a diff.',
+    '         With --all every valid block is updated, not only the first one.',
+    '  check  Reports mash blocks that have been tampered with or have a tag missing and',
+    '         exits with code ' + ExitCode.CheckFailed + ' if there are any.',
+    '  verify Reports all the mash blocks in the files of the directory (the current one',
+    '         by default) which are not ignored by .gitignore files and exits with code ' +
+        ExitCode.CheckFailed,
+    '         if any of them is invalid.',
+    '',
+    'Tags:',
+    '  --begin <tag> --end <tag>  Begin and end tags. verify can take more than one',
+    '                             pair of them.',
+    '  --lang <language>          Comment tags of the language, by default the language',
+    '                             of each file\'s extension.',
+    '  --label <label>            Label of the comment tags.',
+    '',
+    'Options:',
+    '  --key-file <file>  Secret key for keyed (HMAC) fingerprints.',
+    '  --normalize        Ignore line endings, trailing whitespace, final newlines',
+    '                     and Unicode normalization form when fingerprinting.',
+    '  --on-tampered <policy>',
+    '                     What mash does with a tampered block: ' +
+        _.values(TamperPolicy).join(', ') + '.',
+    '                     By default the new block is inserted above it.',
+    '  --metadata <key>=<value>',
+    '                     Value of the metadata placeholder (e.g. %version%) in the tags.',
+    '                     Can be given more than once.',
+    '  --metadata-key <key>',
+    '                     Key of the metadata placeholder (e.g. %ticket%) whose value is',
+    '                     not given, e.g. to check the blocks. Can be given more than once.',
+    '  --preserve-timestamp',
+    '                     Keep %timestamp% of the block whose source text is unchanged.',
+    '',
+    'Verify options:',
+    '  --include <glob>   Files to verify, e.g. "src/**/*.js". Can be given more than once.',
+    '  --exclude <glob>   Files not to verify. Can be given more than once.',
+    '  --no-gitignore     Verify the files ignored by .gitignore files too.',
+    '  --format <format>  Report format: ' + _.values(ReportFormat).join(', ') + '.',
+    '                     ' + ReportFormat.Human + ' by default.',
+    ''
+].join('\n');
+
+/**
+ * Command line interface to unstructured text masher. All the file system work is done
+ * synchronously and the outcome is reported through the returned exit code.
+ */
+class UnstructuredTextMasherCli {
+
+    /**
+     * Runs the command described by the given command line arguments.
+     *
+     * @param {string[]} args Command line arguments without node and script paths.
+     * @param {object} io Streams to use instead of the process' ones: stdout and stderr
+     *  with write() and stdin with fd (file descriptor to read the source text from).
+     * @return {number} One of the ExitCode values.
+     */
+    static run(args, io) {
+        io = _.defaults({}, io, {
+            stdin: process.stdin,
+            stdout: process.stdout,
+            stderr: process.stderr
+        });
+
+        const argv = minimist(args, {
+            string: ['begin', 'end', 'lang', 'label', 'source', 'key-file', 'on-tampered', 'metadata',
+                'metadata-key', 'include', 'exclude', 'format'],
+            boolean: ['dry-run', 'all', 'normalize', 'preserve-timestamp', 'gitignore', 'help'],
+            alias: {h: 'help'},
+            default: {gitignore: true}
+        });
+        const command = argv._[0];
+        const files = argv._.slice(1);
+
+        if (argv.help) {
+            io.stdout.write(USAGE);
+            return ExitCode.Success;
+        }
+
+        const usageError = (message) => {
+            io.stderr.write(util.format('Error: %s\n\n%s', message, USAGE));
+            return ExitCode.UsageError;
+        };
+
+        if (command !== 'mash' && command !== 'check' && command !== 'verify') {
+            return usageError(command ?
+                util.format('unknown command "%s"', command) :
+                'missing command');
+        }
+        if (!argv.begin !== !argv.end) {
+            return usageError('both --begin and --end tags are required');
+        }
+        if (_.castArray(argv.begin || []).length !== _.castArray(argv.end || []).length) {
+            return usageError('each --begin tag needs its --end tag');
+        }
+        if (_.isArray(argv.begin) && command !== 'verify') {
+            return usageError('only verify takes more than one pair of tags');
+        }
+        if (argv.lang && UnstructuredTextMasher.LANGUAGES.indexOf(argv.lang) === -1) {
+            return usageError(util.format('unknown language "%s"', argv.lang));
+        }
+        if (argv['on-tampered'] && !_.includes(TamperPolicy, argv['on-tampered'])) {
+            return usageError(util.format('unknown tamper policy "%s"', argv['on-tampered']));
+        }
+        if (argv.format && !_.includes(ReportFormat, argv.format)) {
+            return usageError(util.format('unknown report format "%s"', argv.format));
+        }
+        if (files.length === 0 && command !== 'verify') {
+            return usageError('missing file');
+        }
+        const metadataArgs = _.castArray(argv.metadata || []);
+        const invalidMetadataArg = _.find(metadataArgs, (arg) => arg.indexOf('=') < 1);
+        if (invalidMetadataArg !== undefined) {
+            return usageError(util.format('invalid metadata "%s", expected <key>=<value>', invalidMetadataArg));
+        }
+
+        //  Explicit tags are used as they are while comment tags of the language are
+        //  adapted to each file's line ending.
+        const tagsOf = (file, text) => {
+            if (argv.begin) {
+                return {
+                    beginTag: argv.begin,
+                    endTag: argv.end
+                };
+            }
+
+            const tagOptions = {
+                label: argv.label,
+                text: text
+            };
+            return argv.lang ?
+                UnstructuredTextMasher.tagsFor(argv.lang, tagOptions) :
+                UnstructuredTextMasher.tagsForFile(file, tagOptions);
+        };
+
+        try {
+            const options = {
+                normalize: argv.normalize,
+                tamperPolicy: argv['on-tampered'],
+                metadata: _.fromPairs(_.map(metadataArgs, (arg) =>
+                    [arg.substring(0, arg.indexOf('=')), arg.substring(arg.indexOf('=') + 1)])),
+                metadataKeys: argv['metadata-key'],
+                preserveTimestamp: argv['preserve-timestamp'],
+                all: argv.all
+            };
+            if (argv['key-file']) {
+                options.key = fs.readFileSync(argv['key-file']);
+            }
+
+            if (command === 'mash') {
+                if (files.length > 1) {
+                    return usageError('only one file can be mashed at a time');
+                }
+                if (!_.isString(argv.source) || argv.source === '') {
+                    return usageError('--source is required');
+                }
+
+                return UnstructuredTextMasherCli._mash(
+                    files[0], tagsOf, argv.source, argv['dry-run'], options, io);
+            }
+
+            if (command === 'verify') {
+                if (files.length > 1) {
+                    return usageError('only one directory can be verified at a time');
+                }
+
+                return UnstructuredTextMasherCli._verify(files[0] || '.', _.assign(options, {
+                    include: argv.include,
+                    exclude: argv.exclude,
+                    gitignore: argv.gitignore,
+                    label: argv.label,
+                    tags: argv.begin ?
+                        _.zipWith(_.castArray(argv.begin), _.castArray(argv.end), (beginTag, endTag) => ({
+                            beginTag: beginTag,
+                            endTag: endTag
+                        })) :
+                        argv.lang && ((file, text) => [tagsOf(file, text)])
+                }), argv.format || ReportFormat.Human, io);
+            }
+
+            return UnstructuredTextMasherCli._check(files, tagsOf, options, io);
+        } catch (error) {
+            io.stderr.write(util.format('Error: %s\n', error.message));
+            return ExitCode.Error;
+        }
+    }
+
+    /**
+     * Mashes the text from the source file (or stdin if it's "-") into the destination
+     * file and writes the destination file in place unless it's a dry run.
+     *
+     * @private
+     */
+    static _mash(destinationFile, tagsOf, sourceFile, dryRun, options, io) {
+        const sourceText = TextFile.decode(fs.readFileSync(
+            sourceFile === '-' ? io.stdin.fd : sourceFile)).text;
+        const destination = TextFile.read(destinationFile);
+        const tags = tagsOf(destinationFile, destination.text);
+        const result = UnstructuredTextMasher.mashDetailed(
+            destination.text, tags.beginTag, sourceText, tags.endTag,
+            _.assign({diff: dryRun && destinationFile}, options));
+
+        if (dryRun) {
+            io.stdout.write(result.diff);
+        } else if (result.changed) {
+            TextFile.writeAtomically(destinationFile, TextFile.encode(result.text, destination));
+        }
+
+        return ExitCode.Success;
+    }
+
+    /**
+     * Prints all the invalid mash blocks in the given files and fails if there are any.
+     *
+     * @private
+     */
+    static _check(files, tagsOf, options, io) {
+        var exitCode = ExitCode.Success;
+        files.forEach((file) => {
+            const text = TextFile.read(file).text;
+            const tags = tagsOf(file, text);
+            UnstructuredTextMasher.inspect(text, tags.beginTag, tags.endTag, options).forEach((block) => {
+                if (UnstructuredTextMasher.INVALID_STATES.indexOf(block.state) === -1) {
+                    return;
+                }
+
+                const position = block.beginTagPosition || block.endTagPosition;
+                io.stdout.write(util.format('%s:%d:%d: %s\n',
+                    file, position.line, position.column, block.state));
+                exitCode = ExitCode.CheckFailed;
+            });
+        });
+        return exitCode;
+    }
+
+    /**
+     * Prints the report of all the mash blocks in the directory tree and fails if any
+     * of them is invalid.
+     *
+     * @private
+     */
+    static _verify(directory, options, format, io) {
+        const report = UnstructuredTextMasher.verify(directory, options);
+        io.stdout.write(UnstructuredTextMasher.formatReport(report, format));
+        return report.invalidBlocks > 0 ? ExitCode.CheckFailed : ExitCode.Success;
+    }
+}
+
+UnstructuredTextMasherCli.ExitCode = ExitCode;
+
+module.exports = UnstructuredTextMasherCli;
@@ -0,0 +1,102 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const minimatch = require('minimatch');
+
+const GITIGNORE_FILE = '.gitignore';
+
+//  Directories which are never walked into.
+const SKIPPED_DIRECTORIES = ['.git'];
+
+/**
+ * Lists the files of a directory tree the way a repository sees them: files ignored by
+ * the .gitignore files are left out and the rest can be narrowed down with globs.
+ */
+class FileWalker {
+
+    /**
+     * Returns the paths (relative to the directory and with "/" separators) of all the
+     * files in the directory tree that match the include globs and don't match the
+     * exclude globs, sorted by their names. Symbolic links are not followed.
+     *
+     * @param {string} directory
+     * @param {object} [options]
+     * @param {string|string[]} [options.include] Globs of the files to list, all files
+     *  by default. Globs are matched against the relative paths, e.g. "src/**\/*.js".
+     * @param {string|string[]} [options.exclude] Globs of the files to leave out.
+     * @param {boolean} [options.gitignore] Honor .gitignore files, true by default.
+     * @return {string[]}
+     */
+    static listFiles(directory, options) {
+        options = options || {};
+        const include = _.castArray(options.include || '**');
+        const exclude = _.castArray(options.exclude || []);
+        const matchesAny = (file, globs) =>
+            _.some(globs, (glob) => minimatch(file, glob, {dot: true}));
+
+        const files = [];
+        const walk = (relativeDirectory, gitignores) => {
+            const absoluteDirectory = path.join(directory, relativeDirectory);
+            if (options.gitignore !== false) {
+                gitignores = gitignores.concat(
+                    FileWalker._readGitignore(absoluteDirectory, relativeDirectory) || []);
+            }
+
+            fs.readdirSync(absoluteDirectory).sort().forEach((name) => {
+                const file = relativeDirectory ? relativeDirectory + '/' + name : name;
+                const stats = fs.lstatSync(path.join(directory, file));
+                if (stats.isDirectory()) {
+                    if (!_.includes(SKIPPED_DIRECTORIES, name) &&
+                        !FileWalker._isIgnored(file + '/', gitignores)) {
+                        walk(file, gitignores);
+                    }
+                } else if (stats.isFile() &&
+                    !FileWalker._isIgnored(file, gitignores) &&
+                    matchesAny(file, include) && !matchesAny(file, exclude)) {
+                    files.push(file);
+                }
+            });
+        };
+        walk('', []);
+
+        return files;
+    }
+
+    /**
+     * Returns the rules of the .gitignore file in the directory (which apply to the
+     * paths relative to the directory) or undefined if there's no such file.
+     *
+     * @private
+     */
+    static _readGitignore(absoluteDirectory, relativeDirectory) {
+        const gitignoreFile = path.join(absoluteDirectory, GITIGNORE_FILE);
+        if (!fs.existsSync(gitignoreFile)) {
+            return undefined;
+        }
+
+        return {
+            directory: relativeDirectory,
+            rules: ignore().add(fs.readFileSync(gitignoreFile, 'utf8'))
+        };
+    }
+
+    /**
+     * Tells if the file (or the directory if the path ends with "/") is ignored by any
+     * of the .gitignore files on its way from the root directory.
+     *
+     * @private
+     */
+    static _isIgnored(file, gitignores) {
+        return _.some(gitignores, (gitignore) => gitignore.rules.ignores(gitignore.directory ?
+            file.substring(gitignore.directory.length + 1) :
+            file));
+    }
+}
+
+FileWalker.GITIGNORE_FILE = GITIGNORE_FILE;
+
+module.exports = FileWalker;
@@ -0,0 +1,199 @@
+
+'use strict';
+
+const _ = require('lodash');
+const util = require('util');
+const crypto = require('crypto');
+
+const DEFAULT_ALGORITHM = 'sha1';
+const MIN_LENGTH = 8;
+const ALGORITHM_SEPARATOR = ':';
+const KEYED_ALGORITHM_PREFIX = 'hmac-';
+
+/**
+ * Computes the fingerprint of the given text as a hexadecimal string using
+ * 32-bit FNV-1a hash function of its UTF-8 bytes.
+ */
+const fnv1a = (text) => {
+    var hash = 0x811c9dc5;
+    for (var byte of Buffer.from(text, 'utf8')) {
+        hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+    }
+    return _.padStart(hash.toString(16), 8, '0');
+};
+
+/**
+ * Returns a function computing the fingerprint of the given text as a hexadecimal
+ * string using the crypto hash algorithm or its HMAC if a key is given.
+ */
+const cryptoDigest = (algorithm) => (text, key) => {
+    const hash = _.isNil(key) ?
+        crypto.createHash(algorithm) :
+        crypto.createHmac(algorithm, key);
+    return hash.update(text).digest('hex');
+};
+
+//  Supported algorithms with their functions computing full length hexadecimal digests.
+const ALGORITHMS = {
+    sha1: cryptoDigest('sha1'),
+    sha256: cryptoDigest('sha256'),
+    sha512: cryptoDigest('sha512'),
+    fnv1a: fnv1a
+};
+
+//  Algorithms which can be used to compute keyed fingerprints (HMACs).
+const KEYED_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+
+/**
+ * Fingerprints are stored in end tags as "<algorithm>:<hex digest>" where the digest
+ * may be truncated to a declared length. The only exception are the full length
+ * digests of the default SHA1 algorithm which are stored as bare hex digests so that
+ * the blocks mashed before the algorithms became configurable remain verifiable.
+ *
+ * A fingerprint specification (the part after the colon in %fingerprint:sha256:16%)
+ * names the algorithm and optionally the number of hex digits to keep.
+ *
+ * When a secret key is given the fingerprints are HMACs of the text using the specified
+ * algorithm. They are stored as "hmac-<algorithm>:<hex digest>" so that they can never
+ * be mistaken for plain fingerprints.
+ */
+class Fingerprint {
+
+    /**
+     * Parses the fingerprint specification of the form "<algorithm>[:<length>]".
+     * Undefined or empty specification stands for full length default algorithm.
+     *
+     * @param {string} [specification]
+     * @return {{algorithm: string, length: number}}
+     */
+    static parseSpecification(specification) {
+        const parts = specification ? specification.split(ALGORITHM_SEPARATOR) : [];
+        const algorithm = parts[0] || DEFAULT_ALGORITHM;
+        if (!_.has(ALGORITHMS, algorithm) || parts.length > 2) {
+            throw new Error(util.format(
+                'Invalid fingerprint specification "%s". Supported algorithms are: %s',
+                specification, _.keys(ALGORITHMS).join(', ')));
+        }
+
+        const fullLength = Fingerprint._fullLength(algorithm);
+        const length = parts.length > 1 ? Number(parts[1]) : fullLength;
+        if (!_.isInteger(length) || length < Math.min(MIN_LENGTH, fullLength) || length > fullLength) {
+            throw new Error(util.format(
+                'Invalid fingerprint length in "%s". %s fingerprint length must be between %d and %d',
+                specification, algorithm, Math.min(MIN_LENGTH, fullLength), fullLength));
+        }
+
+        return {
+            algorithm: algorithm,
+            length: length
+        };
+    }
+
+    /**
+     * Returns the fingerprint of the text as it's stored in end tags. If the key is
+     * given the fingerprint is the text's HMAC.
+     *
+     * @param {string} text
+     * @param {{algorithm: string, length: number}} [specification]
+     * @param {string|Buffer} [key]
+     * @return {string}
+     */
+    static compute(text, specification, key) {
+        specification = specification || Fingerprint.parseSpecification();
+        if (!_.isNil(key)) {
+            if (KEYED_ALGORITHMS.indexOf(specification.algorithm) === -1) {
+                throw new Error(util.format(
+                    '%s cannot be used for keyed fingerprints. Supported algorithms are: %s',
+                    specification.algorithm, KEYED_ALGORITHMS.join(', ')));
+            }
+
+            return KEYED_ALGORITHM_PREFIX + specification.algorithm + ALGORITHM_SEPARATOR +
+                ALGORITHMS[specification.algorithm](text, key).substring(0, specification.length);
+        }
+
+        const digest = ALGORITHMS[specification.algorithm](text).substring(0, specification.length);
+        if (specification.algorithm === DEFAULT_ALGORITHM &&
+                specification.length === Fingerprint._fullLength(DEFAULT_ALGORITHM)) {
+            return digest;
+        }
+
+        return specification.algorithm + ALGORITHM_SEPARATOR + digest;
+    }
+
+    /**
+     * Returns the specification the stored fingerprint has been computed with or
+     * undefined if it's not a valid fingerprint. Specification's "keyed" property
+     * tells if the fingerprint is an HMAC.
+     *
+     * @param {string} fingerprint
+     * @return {{algorithm: string, length: number, keyed: boolean}|undefined}
+     */
+    static specificationOf(fingerprint) {
+        const separatorIndex = fingerprint.indexOf(ALGORITHM_SEPARATOR);
+        var algorithm = separatorIndex === -1 ?
+            DEFAULT_ALGORITHM :
+            fingerprint.substring(0, separatorIndex);
+        const keyed = _.startsWith(algorithm, KEYED_ALGORITHM_PREFIX);
+        if (keyed) {
+            algorithm = algorithm.substring(KEYED_ALGORITHM_PREFIX.length);
+            if (KEYED_ALGORITHMS.indexOf(algorithm) === -1) {
+                return undefined;
+            }
+        }
+        const digest = fingerprint.substring(separatorIndex + 1);
+        if (!_.has(ALGORITHMS, algorithm) || !/^[0-9a-f]+$/.test(digest)) {
+            return undefined;
+        }
+
+        try {
+            return _.assign(Fingerprint.parseSpecification(
+                algorithm + ALGORITHM_SEPARATOR + digest.length), {keyed: keyed});
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns true if the stored fingerprint is the fingerprint of the text. Keyed
+     * fingerprints can only be verified with the key they have been computed with
+     * while plain fingerprints are verified without the key even if it's given.
+     *
+     * @param {string} text
+     * @param {string} fingerprint
+     * @param {string|Buffer} [key]
+     * @return {boolean}
+     */
+    static verify(text, fingerprint, key) {
+        const specification = Fingerprint.specificationOf(fingerprint);
+        if (!specification || (specification.keyed && _.isNil(key))) {
+            return false;
+        }
+
+        if (!specification.keyed) {
+            return Fingerprint.compute(text, specification) === fingerprint;
+        }
+
+        //  HMACs are compared in constant time so that the comparison doesn't reveal
+        //  how much of a forged fingerprint is right.
+        const expected = Buffer.from(Fingerprint.compute(text, specification, key));
+        const actual = Buffer.from(fingerprint);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Returns the length of the full hexadecimal digest of the algorithm.
+     *
+     * @private
+     */
+    static _fullLength(algorithm) {
+        return ALGORITHMS[algorithm]('').length;
+    }
+}
+
+//  Regexp pattern (without capturing groups) matching all stored fingerprints.
+Fingerprint.PATTERN = util.format('[0-9a-fA-F]{%d}|[a-z][a-z0-9-]*%s[0-9a-fA-F]{%d,}',
+    Fingerprint._fullLength(DEFAULT_ALGORITHM), ALGORITHM_SEPARATOR, MIN_LENGTH);
+Fingerprint.DEFAULT_ALGORITHM = DEFAULT_ALGORITHM;
+Fingerprint.ALGORITHMS = _.keys(ALGORITHMS);
+
+module.exports = Fingerprint;
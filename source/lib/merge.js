@@ -0,0 +1,122 @@
+
+'use strict';
+
+const _ = require('lodash');
+const diff = require('diff');
+
+/**
+ * Line based three-way merge of two texts derived from the same base text.
+ */
+class Merge {
+
+    /**
+     * Merges the changes both texts made to the base text. Returns the merged text or
+     * undefined if the changes conflict, i.e. both texts changed the same or adjacent
+     * lines of the base text in different ways.
+     *
+     * @param {string} base
+     * @param {string} ours
+     * @param {string} theirs
+     * @return {string|undefined}
+     */
+    static threeWay(base, ours, theirs) {
+        const baseLines = Merge._splitLines(base);
+        const hunks = _.sortBy(
+            Merge._getHunks(baseLines, Merge._splitLines(ours), 'ours').concat(
+                Merge._getHunks(baseLines, Merge._splitLines(theirs), 'theirs')),
+            'baseIndex');
+
+        const mergedLines = [];
+        var baseIndex = 0;
+        var hunkIndex = 0;
+        while (hunkIndex < hunks.length) {
+            //  Group together the hunks changing the same or adjacent base lines.
+            const group = [hunks[hunkIndex++]];
+            var groupEndIndex = group[0].baseEndIndex;
+            while (hunkIndex < hunks.length && hunks[hunkIndex].baseIndex <= groupEndIndex) {
+                groupEndIndex = Math.max(groupEndIndex, hunks[hunkIndex].baseEndIndex);
+                group.push(hunks[hunkIndex++]);
+            }
+
+            const groupIndex = group[0].baseIndex;
+            Array.prototype.push.apply(mergedLines, baseLines.slice(baseIndex, groupIndex));
+            baseIndex = groupEndIndex;
+
+            //  Each side's version of the group's base lines.
+            const versions = _.map(_.groupBy(group, 'side'), (sideHunks) =>
+                Merge._applyHunks(baseLines, groupIndex, groupEndIndex, sideHunks));
+            if (versions.length > 1 && !_.isEqual(versions[0], versions[1])) {
+                return undefined;
+            }
+
+            Array.prototype.push.apply(mergedLines, versions[0]);
+        }
+        Array.prototype.push.apply(mergedLines, baseLines.slice(baseIndex));
+
+        return mergedLines.join('');
+    }
+
+    /**
+     * Splits the text into lines keeping their line endings.
+     *
+     * @private
+     */
+    static _splitLines(text) {
+        return text.match(/[^\n]*\n|[^\n]+/g) || [];
+    }
+
+    /**
+     * Returns the hunks of changes turning the base lines into the other lines. Each hunk
+     * replaces base lines from its base index up to its base end index with its lines.
+     *
+     * @private
+     */
+    static _getHunks(baseLines, otherLines, side) {
+        const hunks = [];
+        var hunk = null;
+        var baseIndex = 0;
+        diff.diffArrays(baseLines, otherLines).forEach((part) => {
+            if (!part.added && !part.removed) {
+                hunk = null;
+                baseIndex += part.value.length;
+                return;
+            }
+
+            if (!hunk) {
+                hunk = {
+                    side: side,
+                    baseIndex: baseIndex,
+                    baseEndIndex: baseIndex,
+                    lines: []
+                };
+                hunks.push(hunk);
+            }
+
+            if (part.removed) {
+                baseIndex += part.value.length;
+                hunk.baseEndIndex = baseIndex;
+            } else {
+                Array.prototype.push.apply(hunk.lines, part.value);
+            }
+        });
+        return hunks;
+    }
+
+    /**
+     * Applies the (sorted) hunks of one side to the base lines in the given range.
+     *
+     * @private
+     */
+    static _applyHunks(baseLines, baseIndex, baseEndIndex, hunks) {
+        const lines = [];
+        hunks.forEach((hunk) => {
+            Array.prototype.push.apply(lines, baseLines.slice(baseIndex, hunk.baseIndex));
+            Array.prototype.push.apply(lines, hunk.lines);
+            baseIndex = hunk.baseEndIndex;
+        });
+        Array.prototype.push.apply(lines, baseLines.slice(baseIndex, baseEndIndex));
+        return lines;
+    }
+}
+
+module.exports = Merge;
@@ -0,0 +1,107 @@
+
+'use strict';
+
+const _ = require('lodash');
+const util = require('util');
+
+const LINE_BREAK_REGEXP = /\r\n|\n|\r/g;
+const LINE_BREAK_PATTERN = '(?:\\r\\n|\\n|\\r)';
+
+//  All the supported normalizations, in the order in which they are applied.
+const NORMALIZATIONS = ['unicode', 'lineEndings', 'trailingWhitespace', 'finalNewline'];
+
+/**
+ * Normalizes texts before they are fingerprinted so that the changes editors and tools
+ * usually make on their own (converting line endings, stripping trailing whitespace and
+ * so on) don't invalidate the fingerprints while real content edits still do.
+ *
+ * The normalizations are:
+ *  - unicode: text is normalized to Unicode NFC form,
+ *  - lineEndings: all line endings are converted to "\n",
+ *  - trailingWhitespace: spaces and tabs at the ends of lines are ignored,
+ *  - finalNewline: line breaks at the end of the text are ignored.
+ */
+class Normalization {
+
+    /**
+     * Parses the normalization option which is either true (for all normalizations)
+     * or an object with the normalizations to apply set to true. Returns undefined
+     * if no normalization is to be applied.
+     *
+     * @param {boolean|object} [normalize]
+     * @return {object|undefined} All the normalizations set to true or false.
+     */
+    static parseOption(normalize) {
+        if (!normalize) {
+            return undefined;
+        }
+
+        if (normalize === true) {
+            return _.zipObject(NORMALIZATIONS, _.times(NORMALIZATIONS.length, _.constant(true)));
+        }
+
+        const unknownNormalizations = _.difference(_.keys(normalize), NORMALIZATIONS);
+        if (unknownNormalizations.length > 0) {
+            throw new Error(util.format('Unknown normalizations: %s. Supported normalizations are: %s',
+                unknownNormalizations.join(', '), NORMALIZATIONS.join(', ')));
+        }
+
+        const normalizations = _.zipObject(NORMALIZATIONS,
+            _.map(NORMALIZATIONS, (normalization) => !!normalize[normalization]));
+        return _.some(normalizations) ? normalizations : undefined;
+    }
+
+    /**
+     * Applies the normalizations to the text.
+     *
+     * @param {string} text
+     * @param {object} [normalizations] As returned by parseOption().
+     * @return {string}
+     */
+    static normalize(text, normalizations) {
+        if (!normalizations) {
+            return text;
+        }
+
+        if (normalizations.unicode) {
+            text = text.normalize('NFC');
+        }
+        if (normalizations.lineEndings) {
+            text = text.replace(LINE_BREAK_REGEXP, '\n');
+        }
+        if (normalizations.trailingWhitespace) {
+            text = text.replace(/[ \t]+(?=\r\n|\n|\r|$)/g, '');
+        }
+        if (normalizations.finalNewline) {
+            text = text.replace(/(?:\r\n|\n|\r)+$/, '');
+        }
+        return text;
+    }
+
+    /**
+     * Makes the regexp pattern of a tag (without placeholders replaced) tolerant to the
+     * same changes of line endings and trailing whitespace the normalizations ignore
+     * in the fingerprinted texts.
+     *
+     * @param {string} tagPattern
+     * @param {object} [normalizations] As returned by parseOption().
+     * @return {string}
+     */
+    static tolerateInTagPattern(tagPattern, normalizations) {
+        if (!normalizations) {
+            return tagPattern;
+        }
+
+        if (normalizations.trailingWhitespace) {
+            tagPattern = tagPattern.replace(/[ \t]*(\r\n|\n|\r)/g, '[ \\t]*$1');
+        }
+        if (normalizations.lineEndings) {
+            tagPattern = tagPattern.replace(LINE_BREAK_REGEXP, LINE_BREAK_PATTERN);
+        }
+        return tagPattern;
+    }
+}
+
+Normalization.NORMALIZATIONS = NORMALIZATIONS;
+
+module.exports = Normalization;
@@ -0,0 +1,213 @@
+
+'use strict';
+
+const _ = require('lodash');
+const path = require('path');
+const util = require('util');
+
+const DEFAULT_LINE_ENDING = '\n';
+const DEFAULT_LABEL = 'GENERATED';
+
+//  Comment syntaxes shared by the languages.
+const CommentSyntax = {
+    DoubleSlash: {prefix: '//'},
+    Hash: {prefix: '#'},
+    DoubleDash: {prefix: '--'},
+    Semicolon: {prefix: ';'},
+    Percent: {prefix: '%'},
+    SlashStar: {prefix: '/*', suffix: '*/'},
+    Html: {prefix: '<!--', suffix: '-->'}
+};
+
+//  Comment syntaxes of the supported languages.
+const LANGUAGES = {
+    c: CommentSyntax.DoubleSlash,
+    cpp: CommentSyntax.DoubleSlash,
+    csharp: CommentSyntax.DoubleSlash,
+    go: CommentSyntax.DoubleSlash,
+    java: CommentSyntax.DoubleSlash,
+    javascript: CommentSyntax.DoubleSlash,
+    kotlin: CommentSyntax.DoubleSlash,
+    php: CommentSyntax.DoubleSlash,
+    rust: CommentSyntax.DoubleSlash,
+    scala: CommentSyntax.DoubleSlash,
+    swift: CommentSyntax.DoubleSlash,
+    typescript: CommentSyntax.DoubleSlash,
+    dockerfile: CommentSyntax.Hash,
+    makefile: CommentSyntax.Hash,
+    perl: CommentSyntax.Hash,
+    powershell: CommentSyntax.Hash,
+    python: CommentSyntax.Hash,
+    r: CommentSyntax.Hash,
+    ruby: CommentSyntax.Hash,
+    shell: CommentSyntax.Hash,
+    toml: CommentSyntax.Hash,
+    yaml: CommentSyntax.Hash,
+    haskell: CommentSyntax.DoubleDash,
+    lua: CommentSyntax.DoubleDash,
+    sql: CommentSyntax.DoubleDash,
+    clojure: CommentSyntax.Semicolon,
+    ini: CommentSyntax.Semicolon,
+    lisp: CommentSyntax.Semicolon,
+    erlang: CommentSyntax.Percent,
+    latex: CommentSyntax.Percent,
+    css: CommentSyntax.SlashStar,
+    less: CommentSyntax.SlashStar,
+    scss: CommentSyntax.SlashStar,
+    html: CommentSyntax.Html,
+    markdown: CommentSyntax.Html,
+    xml: CommentSyntax.Html
+};
+
+//  Languages by (lower case) file extensions.
+const EXTENSIONS = {
+    '.c': 'c',
+    '.h': 'c',
+    '.cc': 'cpp',
+    '.cpp': 'cpp',
+    '.cxx': 'cpp',
+    '.hpp': 'cpp',
+    '.cs': 'csharp',
+    '.go': 'go',
+    '.java': 'java',
+    '.js': 'javascript',
+    '.cjs': 'javascript',
+    '.mjs': 'javascript',
+    '.jsx': 'javascript',
+    '.kt': 'kotlin',
+    '.kts': 'kotlin',
+    '.php': 'php',
+    '.rs': 'rust',
+    '.scala': 'scala',
+    '.swift': 'swift',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.mk': 'makefile',
+    '.pl': 'perl',
+    '.pm': 'perl',
+    '.ps1': 'powershell',
+    '.py': 'python',
+    '.r': 'r',
+    '.rb': 'ruby',
+    '.sh': 'shell',
+    '.bash': 'shell',
+    '.zsh': 'shell',
+    '.toml': 'toml',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.hs': 'haskell',
+    '.lua': 'lua',
+    '.sql': 'sql',
+    '.clj': 'clojure',
+    '.cfg': 'ini',
+    '.ini': 'ini',
+    '.lisp': 'lisp',
+    '.el': 'lisp',
+    '.erl': 'erlang',
+    '.tex': 'latex',
+    '.css': 'css',
+    '.less': 'less',
+    '.scss': 'scss',
+    '.htm': 'html',
+    '.html': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.svg': 'xml',
+    '.xml': 'xml'
+};
+
+//  Languages by (lower case) names of files without meaningful extensions.
+const FILE_NAMES = {
+    'dockerfile': 'dockerfile',
+    'makefile': 'makefile',
+    'gnumakefile': 'makefile'
+};
+
+/**
+ * Builds begin and end tags which are valid comments in the given language. The tags
+ * sit on their own lines (so that they can be mashed anywhere in a text) and the end
+ * tag contains the fingerprint placeholder.
+ */
+class TagPresets {
+
+    /**
+     * Returns the begin and end tags for the language.
+     *
+     * @param {string} language One of TagPresets.LANGUAGES.
+     * @param {object} [options]
+     * @param {string} [options.label] Label distinguishing the blocks in the same text.
+     * @param {string} [options.lineEnding] Line ending to use in the tags.
+     * @param {string} [options.text] Text whose line ending to use in the tags
+     *  unless the line ending is given.
+     * @param {string} [options.fingerprint] Fingerprint specification, e.g. "sha256".
+     * @return {{beginTag: string, endTag: string}}
+     */
+    static tagsFor(language, options) {
+        options = options || {};
+        if (!_.has(LANGUAGES, language)) {
+            throw new Error(util.format('Unknown language "%s". Supported languages are: %s',
+                language, TagPresets.LANGUAGES.join(', ')));
+        }
+
+        const commentSyntax = LANGUAGES[language];
+        const lineEnding = options.lineEnding ||
+            TagPresets.detectLineEnding(options.text || '');
+        const label = options.label ? DEFAULT_LABEL + ' ' + options.label : DEFAULT_LABEL;
+        const fingerprintPlaceholder = options.fingerprint ?
+            util.format('%%fingerprint:%s%%', options.fingerprint) :
+            '%fingerprint%';
+        const comment = (text) => lineEnding +
+            _.compact([commentSyntax.prefix, text, commentSyntax.suffix]).join(' ') +
+            lineEnding;
+
+        return {
+            beginTag: comment('BEGIN ' + label),
+            endTag: comment(util.format('END %s (%s)', label, fingerprintPlaceholder))
+        };
+    }
+
+    /**
+     * Returns the begin and end tags for the language of the file (deduced from its
+     * extension or name).
+     *
+     * @param {string} filePath
+     * @param {object} [options] Same as tagsFor() options.
+     * @return {{beginTag: string, endTag: string}}
+     */
+    static tagsForFile(filePath, options) {
+        const language = TagPresets.languageOf(filePath);
+        if (!language) {
+            throw new Error(util.format('Cannot tell the language of "%s"', filePath));
+        }
+
+        return TagPresets.tagsFor(language, options);
+    }
+
+    /**
+     * Returns the language of the file (deduced from its extension or name) or
+     * undefined if the language is not known.
+     *
+     * @param {string} filePath
+     * @return {string|undefined}
+     */
+    static languageOf(filePath) {
+        const baseName = path.basename(filePath).toLowerCase();
+        return EXTENSIONS[path.extname(baseName)] || FILE_NAMES[baseName];
+    }
+
+    /**
+     * Returns the line ending used in the text ("\r\n" or "\n"), judging by its first
+     * line break. Texts without line breaks default to "\n".
+     *
+     * @param {string} text
+     * @return {string}
+     */
+    static detectLineEnding(text) {
+        const index = text.indexOf('\n');
+        return index > 0 && text[index - 1] === '\r' ? '\r\n' : DEFAULT_LINE_ENDING;
+    }
+}
+
+TagPresets.LANGUAGES = _.keys(LANGUAGES);
+
+module.exports = TagPresets;
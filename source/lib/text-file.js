@@ -0,0 +1,144 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+
+const UTF8 = 'utf8';
+//  Encoding which maps every byte to a character and back, used for the files which
+//  are not valid UTF-8 so that their bytes are kept intact.
+const BINARY = 'binary';
+
+//  Byte order marks of the encodings that have them, the longest first.
+const BOMS = [
+    {encoding: UTF8, bytes: Buffer.from([0xEF, 0xBB, 0xBF])},
+    {encoding: 'utf16le', bytes: Buffer.from([0xFF, 0xFE])},
+    {encoding: 'utf16be', bytes: Buffer.from([0xFE, 0xFF])}
+];
+
+/**
+ * Reads and writes texts keeping their encoding and byte order mark so that rewriting
+ * a text file changes nothing but its text.
+ *
+ * The encoding is told by the byte order mark (UTF-8, UTF-16LE or UTF-16BE). Files
+ * without one are UTF-8 unless another encoding is given or they are not valid UTF-8
+ * in which case their bytes are read as Latin-1 characters and written back as such.
+ */
+class TextFile {
+
+    /**
+     * Decodes the content of a text file into its text (without the byte order mark)
+     * and the format to encode the text back with.
+     *
+     * @param {Buffer} buffer
+     * @param {string} [encoding] Encoding of the content without a byte order mark.
+     * @return {{text: string, encoding: string, bom: boolean}}
+     */
+    static decode(buffer, encoding) {
+        const bom = _.find(BOMS, (bom) => buffer.length >= bom.bytes.length &&
+            buffer.slice(0, bom.bytes.length).equals(bom.bytes));
+        if (bom) {
+            return {
+                text: TextFile._decodeWithoutBom(buffer.slice(bom.bytes.length), bom.encoding),
+                encoding: bom.encoding,
+                bom: true
+            };
+        }
+
+        if (!encoding) {
+            const text = buffer.toString(UTF8);
+            encoding = Buffer.from(text, UTF8).equals(buffer) ? UTF8 : BINARY;
+        }
+        return {
+            text: TextFile._decodeWithoutBom(buffer, encoding),
+            encoding: encoding,
+            bom: false
+        };
+    }
+
+    /**
+     * Encodes the text in the format it has been decoded from.
+     *
+     * @param {string} text
+     * @param {{encoding: string, bom: boolean}} format As returned by decode().
+     * @return {Buffer}
+     */
+    static encode(text, format) {
+        const content = format.encoding === 'utf16be' ?
+            TextFile._swapBytes(Buffer.from(text, 'utf16le')) :
+            Buffer.from(text, format.encoding);
+        if (!format.bom) {
+            return content;
+        }
+
+        const bom = _.find(BOMS, ['encoding', format.encoding]);
+        if (!bom) {
+            throw new Error(util.format('Encoding "%s" has no byte order mark', format.encoding));
+        }
+        return Buffer.concat([bom.bytes, content]);
+    }
+
+    /**
+     * Reads and decodes the text file.
+     *
+     * @param {string} file
+     * @param {string} [encoding] Same as in decode().
+     * @return {{text: string, encoding: string, bom: boolean}}
+     */
+    static read(file, encoding) {
+        return TextFile.decode(fs.readFileSync(file), encoding);
+    }
+
+    /**
+     * Writes the content into a temporary file next to the given file and then renames
+     * it over the given file so that the file is never left partially written. The file
+     * keeps its mode.
+     *
+     * @param {string} file
+     * @param {Buffer|string} content
+     */
+    static writeAtomically(file, content) {
+        const temporaryFile = path.join(path.dirname(file), util.format('.%s.%s.tmp',
+            path.basename(file), crypto.randomBytes(6).toString('hex')));
+        try {
+            fs.writeFileSync(temporaryFile, content, {mode: fs.statSync(file).mode});
+            fs.renameSync(temporaryFile, file);
+        } catch (error) {
+            try {
+                fs.unlinkSync(temporaryFile);
+            } catch (unlinkError) {
+                //  Temporary file was either never created or has already been renamed.
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _decodeWithoutBom(buffer, encoding) {
+        return encoding === 'utf16be' ?
+            TextFile._swapBytes(Buffer.from(buffer)).toString('utf16le') :
+            buffer.toString(encoding);
+    }
+
+    /**
+     * Swaps the bytes of each 16-bit unit in place, converting between UTF-16BE and
+     * UTF-16LE. A trailing odd byte is left as it is.
+     *
+     * @private
+     */
+    static _swapBytes(buffer) {
+        for (var index = 0; index + 1 < buffer.length; index += 2) {
+            const byte = buffer[index];
+            buffer[index] = buffer[index + 1];
+            buffer[index + 1] = byte;
+        }
+        return buffer;
+    }
+}
+
+module.exports = TextFile;
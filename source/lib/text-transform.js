@@ -0,0 +1,53 @@
+
+'use strict';
+
+const stream = require('stream');
+const TextFile = require('./text-file');
+
+/**
+ * Transform stream which collects the whole text flowing through it, transforms it
+ * with the given function and passes it on in the same encoding and with the same
+ * byte order mark (see TextFile).
+ */
+class TextTransform extends stream.Transform {
+
+    /**
+     * @param {function(string): string} transformText
+     * @param {object} [options]
+     * @param {string} [options.encoding] Encoding of the text without a byte order mark,
+     *  see TextFile.decode().
+     */
+    constructor(transformText, options) {
+        super();
+        this._transformText = transformText;
+        this._encoding = options && options.encoding;
+        this._chunks = [];
+    }
+
+    /**
+     * @private
+     */
+    _transform(chunk, encoding, callback) {
+        this._chunks.push(chunk);
+        callback();
+    }
+
+    /**
+     * @private
+     */
+    _flush(callback) {
+        var content;
+        try {
+            const decoded = TextFile.decode(Buffer.concat(this._chunks), this._encoding);
+            content = TextFile.encode(this._transformText(decoded.text), decoded);
+        } catch (error) {
+            callback(error);
+            return;
+        }
+
+        this._chunks = [];
+        callback(null, content);
+    }
+}
+
+module.exports = TextTransform;
@@ -3,12 +3,31 @@
 
 const _ = require('lodash');
 const util = require('util');
-const crypto = require('crypto');
 const assert = require('assert');
+const diff = require('diff');
 const escapeStringRegexp = require('escape-string-regexp');
+const Fingerprint = require('./fingerprint');
+const TagPresets = require('./tag-presets');
+const Normalization = require('./normalization');
+const Merge = require('./merge');
+const VerificationReport = require('./verification-report');
+const TextFile = require('./text-file');
+const TextTransform = require('./text-transform');
 
 const FINGERPRINT_VALUE_IN_HEX_LENGTH = 40;
 const FINGERPRINT_PLACEHOLDER = '%fingerprint%';
+const NAME_PLACEHOLDER = '%name%';
+//  Placeholder with optional specification, e.g. %fingerprint:sha256:16%
+const PLACEHOLDER_REGEXP = /%([a-zA-Z][a-zA-Z0-9]*)(?::([^%]*))?%/g;
+//  Metadata placeholders are the standard ones and the ones whose values or just keys
+//  are given in the options. Any other placeholder-like text in a tag is taken literally.
+//  Metadata values may be anything but line breaks.
+const STANDARD_METADATA_KEYS = ['generator', 'version', 'timestamp', 'length'];
+const METADATA_KEY_REGEXP = /^[a-zA-Z][a-zA-Z0-9]*$/;
+//  Metadata value is matched up to the text following its placeholder in the tag or,
+//  if the placeholder ends the tag, up to the end of the line.
+const METADATA_VALUE_PATTERN = '[^\\r\\n]*?';
+const LAST_METADATA_VALUE_PATTERN = '[^\\r\\n]*';
 
 const MashState = {
     Unmashed: 'unmashed',
@@ -16,9 +35,109 @@ const MashState = {
     EndTagMissing: 'end-tag-missing',
     SourceTextTampered: 'source-text-tampered',
     FingerprintInvalid: 'fingerprint-invalid',
+    FingerprintSchemeMismatch: 'fingerprint-scheme-mismatch',
     Mashed: 'mashed'
 };
 
+//  Block states of the blocks which fail the verification.
+const INVALID_STATES = [
+    MashState.FingerprintInvalid,
+    MashState.FingerprintSchemeMismatch,
+    MashState.BeginTagMissing,
+    MashState.EndTagMissing
+];
+
+//  Besides the candidate end tags (see _pairTagOccurrences()) each begin tag is tried with
+//  all the end tags following it as long as the texts between them add up to no more
+//  than this many times the length of the destination text (but no less than the minimum)
+//  so that verifying the blocks takes time linear in the length of the destination text.
+const PAIRING_BUDGET_FACTOR = 4;
+const MIN_PAIRING_BUDGET = 1024 * 1024;
+
+const MashAction = {
+    Appended: 'appended',
+    Updated: 'updated',
+    //  Inserted at the insertion anchor given in the options (anywhere but the end).
+    InsertedAtAnchor: 'inserted-at-anchor',
+    //  Inserted above a block with end tag missing or an invalid fingerprint.
+    InsertedBeforeCorrupt: 'inserted-before-corrupt',
+    //  Inserted below an end tag with begin tag missing.
+    InsertedAfterOrphanEnd: 'inserted-after-orphan-end',
+    //  Valid block already had the same source text.
+    Unchanged: 'unchanged',
+    Overwritten: 'overwritten',
+    Merged: 'merged',
+    Conflicted: 'conflicted'
+};
+
+//  What to do with a block whose fingerprint is invalid (i.e. the block has been tampered with).
+const TamperPolicy = {
+    //  Insert the new block above the tampered one.
+    KeepBoth: 'keep-both',
+    //  Replace the tampered block with the new one.
+    Overwrite: 'overwrite',
+    //  Throw TamperedBlockError.
+    Throw: 'throw',
+    //  Merge the new source text with the edits or, if that's not possible, replace the
+    //  tampered block with conflict markers around it and the new block.
+    Conflict: 'conflict'
+};
+
+//  Where to insert the block into the text which has not been mashed yet. Besides these
+//  the insertion anchor can be an object with one of before, after (string or RegExp
+//  whose first match to insert the block before or after) or afterLine (1-based number
+//  of the line to insert the block after) properties and the fallback for when the
+//  anchor is not found.
+const InsertAt = {
+    Start: 'start',
+    End: 'end'
+};
+
+//  What to do when the insertion anchor is not found.
+const InsertionFallback = {
+    Start: 'start',
+    End: 'end',
+    Throw: 'throw'
+};
+
+const ConflictMarker = {
+    Edited: '<<<<<<< edited',
+    Previous: '||||||| previous',
+    Separator: '=======',
+    Generated: '>>>>>>> generated'
+};
+
+/**
+ * Returns true if the placeholder (e.g. "%version%") is a metadata placeholder, i.e.
+ * one with its key among the given metadata keys.
+ *
+ * @param {string} placeholder
+ * @param {string[]} metadataKeys As parsed from the options (see _parseOptions()).
+ * @return {boolean}
+ */
+const isMetadataPlaceholder = (placeholder, metadataKeys) => {
+    return _.includes(metadataKeys, placeholder.slice(1, -1));
+};
+
+/**
+ * Thrown by mash() with TamperPolicy.Throw when the block has been tampered with.
+ */
+class TamperedBlockError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {object} mashInfo Info of the tampered block.
+     */
+    constructor(message, mashInfo) {
+        super(message);
+        Error.captureStackTrace(this, this.constructor);
+        this.name = 'TamperedBlockError';
+        this.state = mashInfo.state;
+        this.beginTagIndex = mashInfo.beginTagIndex;
+        this.endOfEndTagIndex = mashInfo.endOfEndTagIndex;
+    }
+}
+
 /**
  * Mashes a body of text into another unstructured text by inserts or updates (or reinserts)
  * The changes are done within the given tabs with integrity checks for previously inserted
@@ -34,38 +153,886 @@ class UnstructuredTextMasher {
      * new version of the source text into the destination text if the previous source
      * text (including the tags and fingerprint) has been tampered with.
      *
+     * When the secret key is given in the options the fingerprints are HMACs of the
+     * source texts. Blocks with plain fingerprints are then treated as
+     * FingerprintSchemeMismatch and blocks with HMACs computed with a different key
+     * as FingerprintInvalid, in both cases the new source text is inserted above them.
+     *
+     * When normalization is requested in the options the source texts are normalized
+     * before they are fingerprinted (both when they are mashed and verified) and the
+     * tags are matched regardless of their line endings and trailing whitespace. See
+     * Normalization for the available normalizations.
+     *
+     * What happens with blocks which have been tampered with (whose fingerprint is
+     * invalid) depends on the tamper policy given in the options (see TamperPolicy).
+     * By default the new block is inserted above the tampered one. With the conflict
+     * policy, if one of the previous source texts given in the options matches the
+     * stored fingerprint, it's used as the base for the three-way merge of the edits
+     * and the new source text.
+     *
+     * The text which has not been mashed yet gets the block appended to its end unless
+     * an insertion anchor is given in the options (see InsertAt).
+     *
+     * Both tags may contain metadata placeholders (%generator%, %version%, %timestamp%,
+     * %length% and the ones whose values or keys are given in the options, e.g. %ticket%)
+     * which are replaced with the metadata values given in the options. Other
+     * placeholder-like text is taken literally. The keys are enough to find the blocks,
+     * e.g. to verify them without knowing the values. %timestamp% and %length% (of the source text) are filled
+     * in unless given. Metadata is not fingerprinted so changing it is not tampering.
+     *
+     * Blocks can be nested in the blocks with different tags. As the enclosing blocks'
+     * fingerprints include the nested blocks, their end tags have to be refreshed when
+     * a nested block changes. That's done for the tags given in the options.
+     *
+     * Normally only the first valid block is updated. With the all option every valid
+     * block is updated (e.g. a license header repeated in several sections) while the
+     * corrupt ones are left as they are. Failing to find a valid block the text is
+     * mashed the same way as without the option.
+     *
+     * Instead of the source text a function returning it can be given. The function is
+     * called with the content of the valid block (undefined if there is none) and the
+     * state in which the block has been found so that the block can be updated based
+     * on its current content, e.g. to add an entry to a generated list.
+     *
      * @param {string} destinationText
      * @param {string} beginTag
-     * @param {string} sourceText
+     * @param {string|function((string|undefined), string): string} sourceText Source text
+     *  or the function returning it given the previous content and state of the block.
      * @param {string} endTag
+     * @param {object} [options]
+     * @param {string|Buffer} [options.key] Secret key for keyed (HMAC) fingerprints.
+     * @param {boolean|object} [options.normalize] True to apply all the normalizations
+     *  or an object with the normalizations to apply set to true, e.g. {lineEndings: true}.
+     * @param {string} [options.tamperPolicy] One of TamperPolicy values, KeepBoth by default.
+     * @param {string|string[]} [options.previousSourceTexts] Candidates for the source text
+     *  the tampered block has been mashed with, used by the conflict tamper policy.
+     * @param {string|object} [options.insertAt] Where to insert the block into the text
+     *  which has not been mashed yet: one of InsertAt values or an object with one of
+     *  before (string or RegExp), after (string or RegExp) or afterLine (number) properties
+     *  and optional fallback property (one of InsertionFallback values, End by default).
+     * @param {Object.<string, string>} [options.metadata] Values of metadata placeholders.
+     *  Their keys make the placeholders other than the standard ones metadata placeholders.
+     * @param {string[]} [options.metadataKeys] Keys of the metadata placeholders other than
+     *  the standard ones whose values are not given, e.g. to find and verify the blocks.
+     * @param {boolean} [options.preserveTimestamp] Keep the timestamp of the block whose
+     *  source text doesn't change.
+     * @param {{beginTag: string, endTag: string}[]} [options.enclosingTags] Tags of the
+     *  blocks which may enclose the mashed block. The end tags of the valid ones are
+     *  refreshed (fingerprinted anew) so that they stay valid with the mashed block in them.
+     * @param {boolean} [options.all] Update every valid block, not only the first one.
      * @return {string}
      */
-    static mash(destinationText, beginTag, sourceText, endTag) {
+    static mash(destinationText, beginTag, sourceText, endTag, options) {
+        return UnstructuredTextMasher.mashDetailed(
+            destinationText, beginTag, sourceText, endTag, options).text;
+    }
+
+    /**
+     * Same as mash() but returns, along with the mashed text, the description of what
+     * has been done: the action taken (one of MashAction values, Unchanged if the valid
+     * block already had the same source text), the state in which the block has been
+     * found, whether the text has changed and the range of the mashed text taken by
+     * the new block. If requested, also the unified diff of the changes (which is
+     * empty if the text hasn't changed).
+     *
+     * With the all option the result also tells how many valid blocks have been updated
+     * (not counting the ones which already had the same source text) and which corrupt
+     * blocks have been skipped, described the same as in inspect(). The range is then
+     * the range of the first valid block.
+     *
+     * @param {string} destinationText
+     * @param {string} beginTag
+     * @param {string|function} sourceText Same as mash() source text.
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options and:
+     * @param {boolean|string} [options.diff] True (or the file name to use in the diff)
+     *  to add the diff to the result.
+     * @return {{text: string, action: string, previousState: string, changed: boolean,
+     *  range: {index: number, endIndex: number}, diff: (string|undefined),
+     *  updatedBlocks: (number|undefined), skippedBlocks: (object[]|undefined)}}
+     */
+    static mashDetailed(destinationText, beginTag, sourceText, endTag, options) {
+        options = UnstructuredTextMasher._parseOptions(options);
+        const result = options.all ?
+            UnstructuredTextMasher._mashEveryBlock(destinationText, beginTag, sourceText, endTag, options) :
+            UnstructuredTextMasher._mashFirstBlock(destinationText, beginTag, sourceText, endTag, options);
+        if (options.diff) {
+            const fileName = _.isString(options.diff) ? options.diff : 'text';
+            result.diff = result.changed ?
+                diff.createTwoFilesPatch(fileName, fileName, destinationText, result.text) :
+                '';
+        }
+        return result;
+    }
+
+    /**
+     * Mashes the source text into the first valid block (or whatever mash info there is)
+     * and returns the same result as mashDetailed() but the diff.
+     *
+     * @private
+     */
+    static _mashFirstBlock(destinationText, beginTag, sourceText, endTag, options) {
         //  Get the current text mash info. We don't know the previous source text
         //  so we use undefined instead.
         const mashInfo = UnstructuredTextMasher._getMashInfo(
-            destinationText, beginTag, undefined, endTag);
+            destinationText, beginTag, undefined, endTag, options);
+        sourceText = UnstructuredTextMasher._resolveSourceText(destinationText, mashInfo, sourceText);
+
+        const mashEdit = UnstructuredTextMasher._getMashEdit(
+            destinationText, mashInfo, sourceText, options);
+        const replacementText = UnstructuredTextMasher._renderMashEdit(
+            destinationText, mashEdit, beginTag, sourceText, endTag, options);
+        const text = UnstructuredTextMasher._refreshEnclosingBlocks(destinationText,
+            destinationText.substring(0, mashEdit.index) +
+                replacementText +
+                destinationText.substring(mashEdit.endIndex),
+            [{index: mashEdit.index, endIndex: mashEdit.endIndex, length: replacementText.length}],
+            options);
+        const changed = text !== destinationText;
+
+        return {
+            text: text,
+            action: changed ? mashEdit.action : MashAction.Unchanged,
+            previousState: mashInfo.state,
+            changed: changed,
+            range: {
+                index: mashEdit.index,
+                endIndex: mashEdit.index + replacementText.length
+            }
+        };
+    }
+
+    /**
+     * Mashes the source text into every valid block leaving the corrupt ones as they are
+     * and returns the same result as mashDetailed() but the diff. Without valid blocks
+     * the text is mashed the same way as into the first block.
+     *
+     * @private
+     */
+    static _mashEveryBlock(destinationText, beginTag, sourceText, endTag, options) {
+        const blocks = UnstructuredTextMasher.inspect(destinationText, beginTag, endTag, options);
+        const validBlocks = _.filter(blocks, ['state', MashState.Mashed]);
+        if (validBlocks.length === 0) {
+            const result = UnstructuredTextMasher._mashFirstBlock(
+                destinationText, beginTag, sourceText, endTag, options);
+            //  The tampered block replaced according to the tamper policy has not been skipped.
+            const replaced = _.includes([MashAction.Overwritten, MashAction.Merged, MashAction.Conflicted],
+                result.action);
+            return _.assign(result, {
+                updatedBlocks: 0,
+                skippedBlocks: _.reject(blocks, (block) =>
+                    replaced && block.beginTagIndex === result.range.index && !_.isUndefined(block.endTagIndex))
+            });
+        }
+
+        //  Build the text from the top down, replacing each valid block with the new one.
+        var text = '';
+        var copiedTextIndex = 0;
+        const ranges = [];
+        const appliedEdits = [];
+        validBlocks.forEach((block) => {
+            const mashInfo = _.assign({fingerprint: block.storedFingerprint}, block);
+            const blockSourceText = UnstructuredTextMasher._resolveSourceText(
+                destinationText, mashInfo, sourceText);
+            const mashEdit = UnstructuredTextMasher._getMashEdit(
+                destinationText, mashInfo, blockSourceText, options);
+            const replacementText = UnstructuredTextMasher._renderMashEdit(
+                destinationText, mashEdit, beginTag, blockSourceText, endTag, options);
+
+            text += destinationText.substring(copiedTextIndex, mashEdit.index);
+            ranges.push({
+                index: text.length,
+                endIndex: text.length + replacementText.length
+            });
+            text += replacementText;
+            copiedTextIndex = mashEdit.endIndex;
+            if (replacementText !== destinationText.substring(mashEdit.index, mashEdit.endIndex)) {
+                appliedEdits.push({
+                    index: mashEdit.index,
+                    endIndex: mashEdit.endIndex,
+                    length: replacementText.length
+                });
+            }
+        });
+        text += destinationText.substring(copiedTextIndex);
+        text = UnstructuredTextMasher._refreshEnclosingBlocks(destinationText, text, appliedEdits, options);
+        const changed = text !== destinationText;
+
+        return {
+            text: text,
+            action: changed ? MashAction.Updated : MashAction.Unchanged,
+            previousState: MashState.Mashed,
+            changed: changed,
+            range: ranges[0],
+            updatedBlocks: appliedEdits.length,
+            skippedBlocks: _.reject(blocks, ['state', MashState.Mashed])
+        };
+    }
+
+    /**
+     * Mashes a number of named source texts into the destination text in a single pass.
+     * Begin and end tags of the tag template must contain the name placeholder which
+     * distinguishes the blocks of different source texts. Each named block is appended,
+     * updated or inserted in the same way as mash() would do it.
+     *
+     * Returns the mashed text, whether it has changed and, per each name, the state in
+     * which its block has been found and the action taken to mash it (same as in the
+     * mashDetailed() result).
+     *
+     * @param {string} destinationText
+     * @param {{beginTag: string, endTag: string}} tagTemplate
+     * @param {Object.<string, (string|function)>} sourceTexts Source texts (or functions
+     *  returning them, same as in mash()) by their block names.
+     * @param {object} [options] Same as mash() options.
+     * @return {{text: string, changed: boolean,
+     *  blocks: Object.<string, {state: string, action: string}>}}
+     */
+    static mashAll(destinationText, tagTemplate, sourceTexts, options) {
+        options = UnstructuredTextMasher._parseOptions(options);
+        const names = _.keys(sourceTexts);
+        if (tagTemplate.beginTag.indexOf(NAME_PLACEHOLDER) === -1) {
+            throw new Error(util.format('Begin tag must contain %s placeholder', NAME_PLACEHOLDER));
+        }
+        if (tagTemplate.endTag.indexOf(NAME_PLACEHOLDER) === -1) {
+            throw new Error(util.format('End tag must contain %s placeholder', NAME_PLACEHOLDER));
+        }
+
+        //  Find the tags of all the named blocks at once and then group them by names.
+        //  The longest names come first so that a name which is a prefix of another one
+        //  doesn't match the other one's tags.
+        const namePattern = names.length > 0 ?
+            _.map(_.sortBy(names, (name) => -name.length), escapeStringRegexp).join('|') :
+            //  Nothing can match an empty set of names.
+            '(?!)';
+        const beginTagOccurrencesByName = _.groupBy(
+            UnstructuredTextMasher._findTagOccurrences(destinationText,
+                UnstructuredTextMasher._createTagRegExp(tagTemplate.beginTag, {
+                    [NAME_PLACEHOLDER]: namePattern
+                }, 'g', options)),
+            'name');
+        const endTagOccurrencesByName = _.groupBy(
+            UnstructuredTextMasher._findEndTagOccurrences(destinationText, tagTemplate.endTag, options, {
+                [NAME_PLACEHOLDER]: namePattern
+            }),
+            'name');
+
+        const blocks = {};
+        const resolvedSourceTexts = {};
+        const mashEdits = _.map(names, (name) => {
+            const beginTagOccurrences = beginTagOccurrencesByName[name] || [];
+            const endTagOccurrences = endTagOccurrencesByName[name] || [];
+            const mashInfo = UnstructuredTextMasher._resolveMashInfo(
+                destinationText, beginTagOccurrences, endTagOccurrences, undefined, options);
+            resolvedSourceTexts[name] = UnstructuredTextMasher._resolveSourceText(
+                destinationText, mashInfo, sourceTexts[name]);
+            const mashEdit = UnstructuredTextMasher._getMashEdit(
+                destinationText, mashInfo, resolvedSourceTexts[name], options);
+            mashEdit.name = name;
+            blocks[name] = {
+                state: mashInfo.state,
+                action: mashEdit.action
+            };
+            return mashEdit;
+        });
+
+        //  Apply the edits from the bottom of the text towards its top so that the indices
+        //  of the edits yet to be applied are not affected. Edits at the same index are
+        //  applied in the reverse order so that their blocks end up in the order of names.
+        const sortedMashEdits = _.sortBy(mashEdits, 'index');
+        const appliedEdits = [];
+        var text = destinationText;
+        for (var index = sortedMashEdits.length - 1; index >= 0; --index) {
+            const mashEdit = sortedMashEdits[index];
+            const previousMashEdit = sortedMashEdits[index - 1];
+            if (previousMashEdit && previousMashEdit.endIndex > mashEdit.index) {
+                throw new Error(util.format('Mash blocks "%s" and "%s" overlap',
+                    previousMashEdit.name, mashEdit.name));
+            }
+
+            const replacementText = UnstructuredTextMasher._renderMashEdit(text, mashEdit,
+                tagTemplate.beginTag.split(NAME_PLACEHOLDER).join(mashEdit.name),
+                resolvedSourceTexts[mashEdit.name],
+                tagTemplate.endTag.split(NAME_PLACEHOLDER).join(mashEdit.name),
+                options);
+            if (replacementText === text.substring(mashEdit.index, mashEdit.endIndex)) {
+                blocks[mashEdit.name].action = MashAction.Unchanged;
+                continue;
+            }
+            text = text.substring(0, mashEdit.index) +
+                replacementText +
+                text.substring(mashEdit.endIndex);
+            appliedEdits.push({
+                index: mashEdit.index,
+                endIndex: mashEdit.endIndex,
+                length: replacementText.length
+            });
+        }
+        text = UnstructuredTextMasher._refreshEnclosingBlocks(destinationText, text, appliedEdits, options);
+
+        return {
+            text: text,
+            changed: text !== destinationText,
+            blocks: blocks
+        };
+    }
+
+    /**
+     * Returns true if the destination text contains a valid (complete and fingerprint matching)
+     * source text between the tags. With the all option every valid block must contain
+     * the source text or, if it's not given, every block must be valid.
+     *
+     * @param {string} destinationText
+     * @param {string} beginText
+     * @param {string} [sourceText] Any valid block will do if not given.
+     * @param {string} endText
+     * @param {object} [options] Same as mash() options.
+     * @return {boolean}
+     */
+    static textIsMashed(destinationText, beginTag, sourceText, endTag, options) {
+        if (options && options.all) {
+            const blocks = UnstructuredTextMasher.inspect(destinationText, beginTag, endTag, options);
+            if (!_.isString(sourceText)) {
+                return blocks.length > 0 && _.every(blocks, ['state', MashState.Mashed]);
+            }
+
+            const validBlocks = _.filter(blocks, ['state', MashState.Mashed]);
+            return validBlocks.length > 0 && _.every(validBlocks, ['content', sourceText]);
+        }
+
+        return UnstructuredTextMasher._getMashInfo(
+            destinationText, beginTag, sourceText, endTag, options).state === MashState.Mashed;
+    }
+
+    /**
+     * Promise returning variant of mash(). The destination and source texts may be
+     * promises and the source text function may return a promise.
+     *
+     * @param {string|Promise.<string>} destinationText
+     * @param {string} beginTag
+     * @param {string|Promise.<string>|function((string|undefined), string): (string|Promise.<string>)}
+     *  sourceText Same as mash() source text but possibly promised.
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options.
+     * @return {Promise.<string>}
+     */
+    static mashAsync(destinationText, beginTag, sourceText, endTag, options) {
+        return Promise.all([destinationText, sourceText]).then((texts) => {
+            if (!_.isFunction(texts[1])) {
+                return UnstructuredTextMasher.mash(texts[0], beginTag, texts[1], endTag, options);
+            }
+
+            //  Mashing calls the source text function synchronously so it's called in
+            //  a dry run first to collect the (promised) source texts of the blocks. The
+            //  second run calls it for the same blocks in the same order.
+            const promisedSourceTexts = [];
+            UnstructuredTextMasher.mash(texts[0], beginTag, (previousContent, state) => {
+                promisedSourceTexts.push(texts[1](previousContent, state));
+                return '';
+            }, endTag, options);
+            return Promise.all(promisedSourceTexts).then((sourceTexts) =>
+                UnstructuredTextMasher.mash(texts[0], beginTag, () => sourceTexts.shift(), endTag, options));
+        });
+    }
+
+    /**
+     * Promise returning variant of textIsMashed(). The destination and source texts may
+     * be promises.
+     *
+     * @param {string|Promise.<string>} destinationText
+     * @param {string} beginTag
+     * @param {string|Promise.<string>} sourceText
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options.
+     * @return {Promise.<boolean>}
+     */
+    static textIsMashedAsync(destinationText, beginTag, sourceText, endTag, options) {
+        return Promise.all([destinationText, sourceText]).then((texts) =>
+            UnstructuredTextMasher.textIsMashed(texts[0], beginTag, texts[1], endTag, options));
+    }
+
+    /**
+     * Mashes the source text into the file in place. The file keeps its encoding and
+     * byte order mark (see TextFile) and is written atomically, through a temporary file
+     * renamed over it. It's written only if its text changes so that otherwise its
+     * modification time stays intact.
+     *
+     * @param {string} filePath
+     * @param {string} beginTag
+     * @param {string|function} sourceText Same as mash() source text.
+     * @param {string} endTag
+     * @param {object} [options] Same as mashDetailed() options and:
+     * @param {string} [options.encoding] Encoding of the file if it has no byte order
+     *  mark. By default UTF-8 or, if the file is not valid UTF-8, Latin-1.
+     * @return {object} Same as mashDetailed() result.
+     */
+    static mashFile(filePath, beginTag, sourceText, endTag, options) {
+        const file = TextFile.read(filePath, options && options.encoding);
+        const result = UnstructuredTextMasher.mashDetailed(file.text, beginTag, sourceText, endTag, options);
+        if (result.changed) {
+            TextFile.writeAtomically(filePath, TextFile.encode(result.text, file));
+        }
+        return result;
+    }
+
+    /**
+     * Returns a transform stream which mashes the source text into the whole text
+     * flowing through it. The text keeps its encoding and byte order mark the same
+     * as in mashFile().
+     *
+     * @param {string} beginTag
+     * @param {string|function} sourceText Same as mash() source text.
+     * @param {string} endTag
+     * @param {object} [options] Same as mashFile() options.
+     * @return {stream.Transform}
+     */
+    static createMashStream(beginTag, sourceText, endTag, options) {
+        return new TextTransform((text) =>
+            UnstructuredTextMasher.mash(text, beginTag, sourceText, endTag, options),
+            {encoding: options && options.encoding});
+    }
+
+    /**
+     * Inspects the destination text and returns all the mash blocks found in it.
+     * Unlike textIsMashed() which only cares about the first valid block, the
+     * returned list describes every begin/end tag pairing (and every orphaned tag)
+     * in the order of their appearance in the text.
+     *
+     * Each block has its state (Mashed, FingerprintInvalid, FingerprintSchemeMismatch,
+     * BeginTagMissing or EndTagMissing), the indices of its tags, the 1-based line/column positions of
+     * its tags, the content between the tags, the stored and computed fingerprints and
+     * the metadata parsed from its tags.
+     * The properties that cannot be known for the given state (e.g. begin tag position
+     * of a block with begin tag missing) are undefined.
+     *
+     * @param {string} destinationText
+     * @param {string} beginTag
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options.
+     * @return {object[]}
+     */
+    static inspect(destinationText, beginTag, endTag, options) {
+        options = UnstructuredTextMasher._parseOptions(options);
+        const beginTagOccurrences = UnstructuredTextMasher._findBeginTagOccurrences(
+            destinationText, beginTag, options);
+        const endTagOccurrences = UnstructuredTextMasher._findEndTagOccurrences(
+            destinationText, endTag, options);
+        const locate = UnstructuredTextMasher._createPositionLocator(destinationText);
+
+        //  Helper function to create the block descriptions we return to the caller.
+        const createBlock = (state, beginTagOccurrence, endTagOccurrence) => {
+            const block = {
+                state: state,
+                beginTagIndex: beginTagOccurrence && beginTagOccurrence.index,
+                endOfBeginTagIndex: beginTagOccurrence && beginTagOccurrence.endIndex,
+                endTagIndex: endTagOccurrence && endTagOccurrence.index,
+                endOfEndTagIndex: endTagOccurrence && endTagOccurrence.endIndex,
+                beginTagPosition: beginTagOccurrence && locate(beginTagOccurrence.index),
+                endTagPosition: endTagOccurrence && locate(endTagOccurrence.index),
+                content: undefined,
+                storedFingerprint: endTagOccurrence && endTagOccurrence.fingerprint,
+                computedFingerprint: undefined,
+                metadata: _.assign({},
+                    beginTagOccurrence && beginTagOccurrence.metadata,
+                    endTagOccurrence && endTagOccurrence.metadata)
+            };
+            if (beginTagOccurrence && endTagOccurrence) {
+                block.content = destinationText.substring(
+                    beginTagOccurrence.endIndex, endTagOccurrence.index);
+                block.computedFingerprint = UnstructuredTextMasher._computeStoredFingerprint(
+                    block.content, endTagOccurrence.fingerprint, options);
+            }
+            return block;
+        };
+
+        const blocks = [];
+        //  Index of the first end tag occurrence we haven't yet processed and the index
+        //  in the destination text up to which the text has been claimed by the blocks.
+        var endTagOccurrenceIndex = 0;
+        var claimedTextIndex = 0;
+        //  End tags between the claimed text and the given index have no begin tags.
+        const claimOrphanedEndTags = (index) => {
+            while (endTagOccurrenceIndex < endTagOccurrences.length &&
+                    endTagOccurrences[endTagOccurrenceIndex].index < index) {
+                const endTagOccurrence = endTagOccurrences[endTagOccurrenceIndex++];
+                if (endTagOccurrence.index >= claimedTextIndex) {
+                    blocks.push(createBlock(MashState.BeginTagMissing, undefined, endTagOccurrence));
+                }
+            }
+        };
+
+        //  Same as in _getMashInfo() the first end tag with the fingerprint matching the
+        //  text after the begin tag makes the block valid.
+        const verifyFingerprint = (beginTagOccurrence, endTagOccurrence) =>
+            UnstructuredTextMasher._verifyFingerprint(destinationText.substring(
+                beginTagOccurrence.endIndex, endTagOccurrence.index), endTagOccurrence.fingerprint, options);
+        const pairings = UnstructuredTextMasher._pairTagOccurrences(beginTagOccurrences, endTagOccurrences);
+        const findValidEndTagOccurrence = UnstructuredTextMasher._createEndTagOccurrenceFinder(
+            destinationText, beginTagOccurrences, endTagOccurrences, pairings,
+            (beginTagOccurrence, endTagOccurrence) =>
+                verifyFingerprint(beginTagOccurrence, endTagOccurrence) === MashState.Mashed);
+        beginTagOccurrences.forEach((beginTagOccurrence, index) => {
+            //  Begin tags within already claimed text (e.g. in a valid block's content)
+            //  are part of that text and not blocks of their own.
+            if (beginTagOccurrence.index < claimedTextIndex) {
+                return;
+            }
+
+            claimOrphanedEndTags(beginTagOccurrence.endIndex);
+
+            var pairedEndTagOccurrenceIndex = findValidEndTagOccurrence(index);
+            var state = MashState.Mashed;
+            if (pairedEndTagOccurrenceIndex === undefined) {
+                //  Failing that the begin tag is paired with the closest end tag unless
+                //  there is another begin tag before it.
+                pairedEndTagOccurrenceIndex = pairings[index].closest;
+                if (pairedEndTagOccurrenceIndex === undefined) {
+                    blocks.push(createBlock(MashState.EndTagMissing, beginTagOccurrence));
+                    claimedTextIndex = beginTagOccurrence.endIndex;
+                    return;
+                }
+
+                state = verifyFingerprint(beginTagOccurrence, endTagOccurrences[pairedEndTagOccurrenceIndex]);
+            }
+
+            const pairedEndTagOccurrence = endTagOccurrences[pairedEndTagOccurrenceIndex];
+            blocks.push(createBlock(state, beginTagOccurrence, pairedEndTagOccurrence));
+            claimedTextIndex = pairedEndTagOccurrence.endIndex;
+            endTagOccurrenceIndex = pairedEndTagOccurrenceIndex + 1;
+        });
+
+        claimOrphanedEndTags(destinationText.length);
+
+        return blocks;
+    }
+
+    /**
+     * Inspects the destination text for the blocks of all the given tags and returns
+     * them as a tree reflecting their nesting. Each block is the same as in inspect()
+     * with the tags it has been found with and its children, i.e. the blocks directly
+     * nested in its content. Blocks with a tag missing have no children.
+     *
+     * @param {string} destinationText
+     * @param {{beginTag: string, endTag: string}[]} tags Tags of all the blocks, the
+     *  tags of different blocks must be distinct.
+     * @param {object} [options] Same as mash() options.
+     * @return {object[]} Top level blocks in the order of their appearance.
+     */
+    static inspectTree(destinationText, tags, options) {
+        const startOf = (block) => _.isUndefined(block.beginTagIndex) ? block.endTagIndex : block.beginTagIndex;
+        const endOf = (block) => _.isUndefined(block.endOfEndTagIndex) ?
+            block.endOfBeginTagIndex :
+            block.endOfEndTagIndex;
+        //  Enclosing blocks come before the blocks they enclose.
+        const blocks = _.sortBy(_.flatMap(tags, (blockTags) =>
+            _.map(UnstructuredTextMasher.inspect(destinationText, blockTags.beginTag, blockTags.endTag, options),
+                (block) => _.assign(block, {tags: blockTags, children: []}))),
+            [startOf, (block) => -endOf(block)]);
+
+        const roots = [];
+        //  Blocks enclosing the current one, the innermost last.
+        const enclosingBlocks = [];
+        blocks.forEach((block) => {
+            while (enclosingBlocks.length > 0 &&
+                    !(_.last(enclosingBlocks).endOfBeginTagIndex <= startOf(block) &&
+                        endOf(block) <= _.last(enclosingBlocks).endTagIndex)) {
+                enclosingBlocks.pop();
+            }
+
+            (enclosingBlocks.length > 0 ? _.last(enclosingBlocks).children : roots).push(block);
+            if (!_.isUndefined(block.beginTagIndex) && !_.isUndefined(block.endTagIndex)) {
+                enclosingBlocks.push(block);
+            }
+        });
+        return roots;
+    }
+
+    /**
+     * Verifies all the mash blocks in the files of the directory tree, see
+     * Verification.verify().
+     *
+     * @param {string} directory
+     * @param {object} [options]
+     * @return {object}
+     */
+    static verify(directory, options) {
+        //  Required here as the verification itself builds on this module.
+        return require('./verification').verify(directory, options);
+    }
+
+    /**
+     * Formats the report returned by verify() as human readable text, JSON or JUnit XML.
+     *
+     * @param {object} report
+     * @param {string} format One of ReportFormat values.
+     * @return {string}
+     */
+    static formatReport(report, format) {
+        return VerificationReport.format(report, format);
+    }
+
+    /**
+     * Removes the mash block (the first valid one, same as the one mash() would update)
+     * together with its tags from the destination text. The text is returned intact if
+     * it has no valid block.
+     *
+     * @param {string} destinationText
+     * @param {string} beginTag
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options.
+     * @return {string}
+     */
+    static unmash(destinationText, beginTag, endTag, options) {
+        const block = _.find(UnstructuredTextMasher.inspect(destinationText, beginTag, endTag, options),
+            (block) => block.state === MashState.Mashed);
+        if (!block) {
+            return destinationText;
+        }
+
+        return destinationText.substring(0, block.beginTagIndex) +
+            destinationText.substring(block.endOfEndTagIndex);
+    }
+
+    /**
+     * Cleans up the destination text by removing what's left of the broken mash blocks:
+     * orphaned begin tags (with end tag missing), orphaned end tags (with begin tag
+     * missing) and the tampered blocks together with their tags. Valid blocks are kept.
+     *
+     * @param {string} destinationText
+     * @param {string} beginTag
+     * @param {string} endTag
+     * @param {object} [options] Same as mash() options and:
+     * @param {boolean} [options.keepTamperedContent] Remove only the tags of the tampered
+     *  blocks and keep their content.
+     * @return {string}
+     */
+    static prune(destinationText, beginTag, endTag, options) {
+        const keepTamperedContent = !!(options && options.keepTamperedContent);
+        const blocks = UnstructuredTextMasher.inspect(destinationText, beginTag, endTag, options);
+
+        //  Blocks are in the order of appearance and don't overlap so they can be pruned
+        //  from the last one without invalidating the indices of the preceding ones.
+        return _.reduceRight(blocks, (text, block) => {
+            const replace = (index, endIndex, replacement) =>
+                text.substring(0, index) + replacement + text.substring(endIndex);
+            switch (block.state) {
+                case MashState.BeginTagMissing:
+                    return replace(block.endTagIndex, block.endOfEndTagIndex, '');
+                case MashState.EndTagMissing:
+                    return replace(block.beginTagIndex, block.endOfBeginTagIndex, '');
+                case MashState.FingerprintInvalid:
+                case MashState.FingerprintSchemeMismatch:
+                    return replace(block.beginTagIndex, block.endOfEndTagIndex,
+                        keepTamperedContent ? block.content : '');
+                default:
+                    return text;
+            }
+        }, destinationText);
+    }
+
+    /**
+     * Returns begin and end tags which are valid comments in the given language, sit on
+     * their own lines and have the fingerprint placeholder in the end tag.
+     *
+     * @param {string} language One of UnstructuredTextMasher.LANGUAGES, e.g. "python".
+     * @param {object} [options]
+     * @param {string} [options.label] Label distinguishing the blocks in the same text.
+     * @param {string} [options.lineEnding] Line ending to use in the tags.
+     * @param {string} [options.text] Text whose line ending to use in the tags
+     *  unless the line ending is given.
+     * @param {string} [options.fingerprint] Fingerprint specification, e.g. "sha256".
+     * @return {{beginTag: string, endTag: string}}
+     */
+    static tagsFor(language, options) {
+        return TagPresets.tagsFor(language, options);
+    }
+
+    /**
+     * Same as tagsFor() but with the language deduced from file's extension or name.
+     *
+     * @param {string} filePath
+     * @param {object} [options] Same as tagsFor() options.
+     * @return {{beginTag: string, endTag: string}}
+     */
+    static tagsForFile(filePath, options) {
+        return TagPresets.tagsForFile(filePath, options);
+    }
+
+    /**
+     * Returns the fingerprint of the given text computed with the default algorithm
+     * (SHA1 hash as a hexadecimal string).
+     *
+     * @param {string} text
+     * @param {string}
+     *
+     * @private
+     */
+    static _fingerprint(text) {
+        return Fingerprint.compute(text);
+    }
+
+    /**
+     * Returns the source text or, if it's a function, calls it with the content of
+     * the valid block (undefined if there is none) and the state of the block.
+     *
+     * @private
+     */
+    static _resolveSourceText(destinationText, mashInfo, sourceText) {
+        if (!_.isFunction(sourceText)) {
+            return sourceText;
+        }
+
+        const previousContent = mashInfo.state === MashState.Mashed ?
+            destinationText.substring(mashInfo.endOfBeginTagIndex, mashInfo.endTagIndex) :
+            undefined;
+        const resolvedSourceText = sourceText(previousContent, mashInfo.state);
+        if (!_.isString(resolvedSourceText)) {
+            throw new Error(util.format('Source text function returned %s instead of a string',
+                util.inspect(resolvedSourceText)));
+        }
+        return resolvedSourceText;
+    }
+
+    /**
+     * Wraps up the source text into begin and end tags and adds a fingeprint of it.
+     * The metadata overrides the metadata from the options.
+     *
+     * @private
+     */
+    static _renderBlock(beginTag, sourceText, endTag, options, metadata) {
+        metadata = _.assign({
+            length: String(sourceText.length)
+        }, options.metadata, metadata);
+        return UnstructuredTextMasher._renderTag(beginTag, metadata, options) +
+            sourceText +
+            UnstructuredTextMasher._renderEndTag(endTag, sourceText, metadata, options);
+    }
+
+    /**
+     * Replaces the metadata placeholders in the tag with their values (empty if they
+     * have none) and the fingerprint placeholders with the results of the given function
+     * (if any) called with their specifications.
+     *
+     * @private
+     */
+    static _renderTag(tag, metadata, options, renderFingerprint) {
+        return tag.replace(PLACEHOLDER_REGEXP, (placeholder, key, specification) => {
+            if (isMetadataPlaceholder('%' + key + '%', options.metadataKeys)) {
+                return _.has(metadata, key) ? metadata[key] : '';
+            }
+
+            return '%' + key + '%' === FINGERPRINT_PLACEHOLDER && renderFingerprint ?
+                renderFingerprint(specification) :
+                placeholder;
+        });
+    }
+
+    /**
+     * Replaces the placeholders in the end tag with the metadata and the fingerprints of
+     * the source text computed as specified by each fingerprint placeholder.
+     *
+     * @private
+     */
+    static _renderEndTag(endTag, sourceText, metadata, options) {
+        const fingerprintedText = Normalization.normalize(sourceText, options.normalizations);
+        return UnstructuredTextMasher._renderTag(endTag, metadata, options, (specification) =>
+            Fingerprint.compute(fingerprintedText, Fingerprint.parseSpecification(specification), options.key));
+    }
+
+    /**
+     * Verifies the fingerprint stored in an end tag against the text preceding it.
+     * Returns Mashed if the fingerprint is valid, FingerprintSchemeMismatch if the
+     * fingerprint is a plain one while the key is given and FingerprintInvalid otherwise
+     * (including keyed fingerprints when the key is wrong or not given).
+     *
+     * @private
+     */
+    static _verifyFingerprint(text, fingerprint, options) {
+        const specification = Fingerprint.specificationOf(fingerprint);
+        if (specification && !specification.keyed && !_.isNil(options.key)) {
+            return MashState.FingerprintSchemeMismatch;
+        }
+
+        return Fingerprint.verify(
+            Normalization.normalize(text, options.normalizations), fingerprint, options.key) ?
+            MashState.Mashed :
+            MashState.FingerprintInvalid;
+    }
+
+    /**
+     * Computes the fingerprint of the text the same way the stored fingerprint has been
+     * computed so that the two can be compared. Returns undefined if that's not possible
+     * (the stored fingerprint is invalid or it's keyed and the key is not given).
+     *
+     * @private
+     */
+    static _computeStoredFingerprint(text, storedFingerprint, options) {
+        const specification = Fingerprint.specificationOf(storedFingerprint);
+        if (!specification || (specification.keyed && _.isNil(options.key))) {
+            return undefined;
+        }
+
+        return Fingerprint.compute(Normalization.normalize(text, options.normalizations),
+            specification, specification.keyed ? options.key : undefined);
+    }
+
+    /**
+     * Decides how the source text is to be mashed into the destination text given the
+     * info about its previous mashing. Returns the action and the range of destination
+     * text to be replaced by the mash block (an empty range for insertions). Merges and
+     * conflicts also carry the merged source text or the conflicting texts.
+     *
+     * @private
+     */
+    static _getMashEdit(destinationText, mashInfo, sourceText, options) {
+        const createEdit = (action, index, endIndex) => {
+            return {
+                action: action,
+                index: index,
+                endIndex: endIndex
+            };
+        };
 
         switch (mashInfo.state) {
-            case MashState.Unmashed:
-                //  When there was no previous (detectable) mashing of the texts
-                //  we append our source text to the end of the destination text.
-                return UnstructuredTextMasher._appendText(
-                    destinationText, beginTag, sourceText, endTag);
+            case MashState.Unmashed: {
+                //  When there was no previous (detectable) mashing of the texts we insert
+                //  our source text at the insertion anchor, by default at the end of the
+                //  destination text.
+                const insertionIndex = UnstructuredTextMasher._getInsertionIndex(
+                    destinationText, options.insertAt);
+                return createEdit(insertionIndex === destinationText.length ?
+                    MashAction.Appended :
+                    MashAction.InsertedAtAnchor, insertionIndex, insertionIndex);
+            }
             case MashState.BeginTagMissing:
                 //  When begin tag is missing we insert the text immediately after
                 //  the end tag as we don't know where else we could insert it.
                 //  We could append it but then we might end up with partial mash
                 //  at the beginning and the new mash all the way at the bottom.
-                return UnstructuredTextMasher._insertText(destinationText,
-                    mashInfo.endOfEndTagIndex, beginTag, sourceText, endTag);
-            case MashState.EndTagMissing:
-            case MashState.FingerprintInvalid: {
+                return createEdit(MashAction.InsertedAfterOrphanEnd,
+                    mashInfo.endOfEndTagIndex, mashInfo.endOfEndTagIndex);
+            case MashState.FingerprintInvalid:
+            case MashState.FingerprintSchemeMismatch: {
+                if (options.tamperPolicy === TamperPolicy.Throw) {
+                    throw new TamperedBlockError(util.format(
+                        'Mash block at index %d has been tampered with (%s)',
+                        mashInfo.beginTagIndex, mashInfo.state), mashInfo);
+                }
+                if (options.tamperPolicy === TamperPolicy.Overwrite) {
+                    return createEdit(MashAction.Overwritten,
+                        mashInfo.beginTagIndex, mashInfo.endOfEndTagIndex);
+                }
+                if (options.tamperPolicy === TamperPolicy.Conflict) {
+                    return UnstructuredTextMasher._getConflictEdit(
+                        destinationText, mashInfo, sourceText, options);
+                }
+            }
+            //  Falls through to keep both the tampered and the new block.
+            case MashState.EndTagMissing: {
                 //  When end tag is missing or fingerprint is invalid we insert
                 //  the new source text above the begin tag so that it's visible
                 //  to the users before they even reach the corrupted mash.
-                return UnstructuredTextMasher._insertText(destinationText,
-                    mashInfo.beginTagIndex, beginTag, sourceText, endTag);
+                return createEdit(MashAction.InsertedBeforeCorrupt,
+                    mashInfo.beginTagIndex, mashInfo.beginTagIndex);
             }
             // istanbul ignore next
             case MashState.SourceTextTampered: {
@@ -84,68 +1051,429 @@ class UnstructuredTextMasher {
         assert(mashInfo.beginTagIndex !== -1);
         assert(mashInfo.endOfEndTagIndex !== -1);
 
-        //  Get unmashed destination text by extracting all the text between the beginning
-        //  of the begin tag and end of end tag.
-        const unsycnedDestinationText =
-            destinationText.substring(0, mashInfo.beginTagIndex) +
-            destinationText.substring(mashInfo.endOfEndTagIndex);
-        //  Insert the new source text where the old source text previously was.
-        //  This way we don't interrupt any new text below the previously mashed
-        //  source text.
-        return UnstructuredTextMasher._insertText(
-            unsycnedDestinationText, mashInfo.beginTagIndex, beginTag, sourceText, endTag);
+        //  Replace all the text between the beginning of the begin tag and end of end tag.
+        //  This way we don't interrupt any new text below the previously mashed source text.
+        const mashEdit = createEdit(MashAction.Updated, mashInfo.beginTagIndex, mashInfo.endOfEndTagIndex);
+        if (options.preserveTimestamp && _.has(mashInfo.metadata, 'timestamp') &&
+                UnstructuredTextMasher._verifyFingerprint(
+                    sourceText, mashInfo.fingerprint, options) === MashState.Mashed) {
+            //  The source text is the same as the one already mashed.
+            mashEdit.metadata = {
+                timestamp: mashInfo.metadata.timestamp
+            };
+        }
+        return mashEdit;
+    }
+
+    /**
+     * Returns the edit resolving the conflict between the tampered block and the new
+     * source text. If the source text the tampered block has been mashed with can be
+     * recovered (it's one of the previous source texts matching the stored fingerprint)
+     * the edits and the new source text are merged. If that's not possible the edit
+     * replaces the tampered block with conflict markers around it and the new block.
+     *
+     * @private
+     */
+    static _getConflictEdit(destinationText, mashInfo, sourceText, options) {
+        const editedSourceText = destinationText.substring(
+            mashInfo.endOfBeginTagIndex, mashInfo.endTagIndex);
+        const previousSourceText = _.find(_.castArray(options.previousSourceTexts || []),
+            (previousSourceText) => UnstructuredTextMasher._verifyFingerprint(
+                previousSourceText, mashInfo.fingerprint, options) === MashState.Mashed);
+        const mashEdit = {
+            index: mashInfo.beginTagIndex,
+            endIndex: mashInfo.endOfEndTagIndex
+        };
+
+        const mergedSourceText = _.isString(previousSourceText) ?
+            Merge.threeWay(previousSourceText, editedSourceText, sourceText) :
+            undefined;
+        if (_.isString(mergedSourceText)) {
+            mashEdit.action = MashAction.Merged;
+            mashEdit.sourceText = mergedSourceText;
+        } else {
+            mashEdit.action = MashAction.Conflicted;
+            mashEdit.conflict = {
+                editedText: destinationText.substring(mashEdit.index, mashEdit.endIndex),
+                previousSourceText: previousSourceText
+            };
+        }
+        return mashEdit;
     }
 
     /**
-     * Returns true if the destination text contains a valid (complete and fingerprint matching)
-     * source text between the tags.
+     * Refreshes the end tags of the valid blocks (found in the destination text) with the
+     * enclosing tags given in the options which enclose the edits that turned the
+     * destination text into the edited text. The innermost blocks are refreshed first
+     * so that the fingerprints of the outer ones include the refreshed inner end tags.
+     * Blocks that were not valid are left as they are so that the tampering is not hidden.
      *
      * @param {string} destinationText
-     * @param {string} beginText
-     * @param {string} sourceText
-     * @param {string} endText
-     * @return {boolean}
+     * @param {string} editedText
+     * @param {object[]} edits Non-overlapping edits, each replacing the range of the
+     *  destination text from its index up to its end index with text of the given length.
+     * @param {object} options Same as mash() options.
+     * @return {string}
+     *
+     * @private
      */
-    static textIsMashed(destinationText, beginTag, sourceText, endTag) {
-        return UnstructuredTextMasher._getMashInfo(destinationText, beginTag, sourceText, endTag).state
-            === MashState.Mashed;
+    static _refreshEnclosingBlocks(destinationText, editedText, edits, options) {
+        if (_.isEmpty(options.enclosingTags) || edits.length === 0) {
+            return editedText;
+        }
+
+        //  Maps the index in the destination text to the index in the edited text. Empty
+        //  edits (insertions) at the index are counted in only if they precede the index.
+        edits = edits.slice();
+        const mapIndex = (index, precedingInsertions) => index + _.sumBy(edits, (edit) =>
+            edit.endIndex < index || edit.endIndex === index && (edit.index < index || precedingInsertions) ?
+                edit.length - (edit.endIndex - edit.index) :
+                0);
+        const encloses = (block, edit) =>
+            block.endOfBeginTagIndex <= edit.index && edit.endIndex <= block.endTagIndex;
+        const isOutside = (block, edit) =>
+            edit.endIndex <= block.beginTagIndex || block.endOfEndTagIndex <= edit.index;
+
+        const blocks = _.flatMap(options.enclosingTags, (tags) =>
+            _.map(UnstructuredTextMasher.inspect(destinationText, tags.beginTag, tags.endTag, options),
+                (block) => _.assign({endTag: tags.endTag}, block)));
+        const enclosingBlocks = _.sortBy(_.filter(blocks, (block) =>
+            block.state === MashState.Mashed &&
+            _.some(edits, (edit) => encloses(block, edit)) &&
+            _.every(edits, (edit) => encloses(block, edit) || isOutside(block, edit))),
+            (block) => block.endTagIndex - block.endOfBeginTagIndex);
+
+        var text = editedText;
+        enclosingBlocks.forEach((block) => {
+            const endTagIndex = mapIndex(block.endTagIndex, true);
+            const content = text.substring(mapIndex(block.endOfBeginTagIndex, false), endTagIndex);
+            const endTag = UnstructuredTextMasher._renderEndTag(block.endTag, content,
+                _.assign({}, block.metadata, {length: String(content.length)}), options);
+            text = text.substring(0, endTagIndex) +
+                endTag +
+                text.substring(endTagIndex + block.endOfEndTagIndex - block.endTagIndex);
+            edits.push({
+                index: block.endTagIndex,
+                endIndex: block.endOfEndTagIndex,
+                length: endTag.length
+            });
+        });
+        return text;
     }
 
     /**
-     * Returns SHA1 hash of the given text as a hexadecimal string.
+     * Returns the index in the destination text at which to insert the block according
+     * to the insertion anchor (see InsertAt) or its fallback if the anchor is not found.
      *
-     * @param {string} text
-     * @param {string}
+     * @private
+     */
+    static _getInsertionIndex(destinationText, insertAt) {
+        if (insertAt === undefined || insertAt === InsertAt.End) {
+            return destinationText.length;
+        }
+        if (insertAt === InsertAt.Start) {
+            return 0;
+        }
+
+        var index = -1;
+        if (_.has(insertAt, 'before')) {
+            const match = UnstructuredTextMasher._findAnchor(destinationText, insertAt.before);
+            index = match ? match.index : -1;
+        } else if (_.has(insertAt, 'after')) {
+            const match = UnstructuredTextMasher._findAnchor(destinationText, insertAt.after);
+            index = match ? match.endIndex : -1;
+        } else {
+            //  Skip the given number of lines. The last line need not end with a line break.
+            index = 0;
+            for (var line = 0; line < insertAt.afterLine; ++line) {
+                if (index === destinationText.length) {
+                    //  The text has fewer lines.
+                    index = -1;
+                    break;
+                }
+                const lineBreakIndex = destinationText.indexOf('\n', index);
+                index = lineBreakIndex !== -1 ? lineBreakIndex + 1 : destinationText.length;
+            }
+        }
+        if (index !== -1) {
+            return index;
+        }
+
+        switch (insertAt.fallback) {
+            case InsertionFallback.Throw:
+                throw new Error(util.format('Insertion anchor %s was not found',
+                    util.inspect(_.omit(insertAt, 'fallback'))));
+            case InsertionFallback.Start:
+                return 0;
+            default:
+                return destinationText.length;
+        }
+    }
+
+    /**
+     * Returns the range of the first occurrence of the string or the first match of the
+     * RegExp in the text, undefined if there is none.
      *
      * @private
      */
-    static _fingerprint(text) {
-        return crypto.createHash('sha1').update(text).digest('hex');
+    static _findAnchor(text, anchor) {
+        if (_.isRegExp(anchor)) {
+            //  Copy the RegExp so that the state of global ones is neither used nor changed.
+            const match = new RegExp(anchor).exec(text);
+            return match ? {index: match.index, endIndex: match.index + match[0].length} : undefined;
+        }
+
+        const index = text.indexOf(anchor);
+        return index !== -1 ? {index: index, endIndex: index + anchor.length} : undefined;
     }
 
     /**
-     * Appends the source text to the end of the destination text.
-     * Wraps up the source text into begin and end tags and adds a fingeprint of it.
+     * Returns the text replacing the edit's range of destination text: the source text
+     * wrapped up into begin and end tags (and conflict markers for conflicts). This way
+     * the new source text ends up where the old source text previously was.
      *
      * @private
      */
-    static _appendText(destinationText, beginTag, sourceText, endTag) {
-        return UnstructuredTextMasher._insertText(
-            destinationText, destinationText.length, beginTag, sourceText, endTag);
+    static _renderMashEdit(destinationText, mashEdit, beginTag, sourceText, endTag, options) {
+        const block = UnstructuredTextMasher._renderBlock(beginTag,
+            _.isString(mashEdit.sourceText) ? mashEdit.sourceText : sourceText, endTag, options,
+            mashEdit.metadata);
+        return mashEdit.conflict ?
+            UnstructuredTextMasher._renderConflict(destinationText, mashEdit, block) :
+            block;
     }
 
     /**
-     * Inserts the source text into the destination text at the insertion index.
-     * Wraps up the source text into begin and end tags and adds a fingeprint of it.
+     * Renders git-style conflict markers around the edited text, the previous source
+     * text (if known) and the new block. The markers are always on their own lines.
      *
      * @private
      */
-    static _insertText(destinationText, insertionIndex, beginTag, sourceText, endTag) {
-        return destinationText.substring(0, insertionIndex) +
-            beginTag +
-            sourceText +
-            endTag.replace(FINGERPRINT_PLACEHOLDER, UnstructuredTextMasher._fingerprint(sourceText)) +
-            destinationText.substring(insertionIndex);
+    static _renderConflict(destinationText, mashEdit, block) {
+        const lineEnding = TagPresets.detectLineEnding(destinationText);
+        const endsLine = (text) => text === '' || /[\r\n]$/.test(text);
+        const line = (text) => endsLine(text) ? text : text + lineEnding;
+
+        const precedingText = destinationText.substring(0, mashEdit.index);
+        const followingText = destinationText.substring(mashEdit.endIndex);
+        return (endsLine(precedingText) ? '' : lineEnding) +
+            line(ConflictMarker.Edited) +
+            line(mashEdit.conflict.editedText) +
+            (_.isString(mashEdit.conflict.previousSourceText) ?
+                line(ConflictMarker.Previous) + line(mashEdit.conflict.previousSourceText) :
+                '') +
+            line(ConflictMarker.Separator) +
+            line(block) +
+            ConflictMarker.Generated +
+            (followingText === '' || /^[\r\n]/.test(followingText) ? '' : lineEnding);
+    }
+
+    /**
+     * Returns all (non-overlapping) occurrences of the begin tag in the destination text.
+     *
+     * @private
+     */
+    static _findBeginTagOccurrences(destinationText, beginTag, options) {
+        return UnstructuredTextMasher._findTagOccurrences(destinationText,
+            UnstructuredTextMasher._createTagRegExp(beginTag, {}, 'g', options));
+    }
+
+    /**
+     * Returns all (non-overlapping) occurrences of the end tag in the destination text
+     * together with the fingerprints stored in them.
+     *
+     * @private
+     */
+    static _findEndTagOccurrences(destinationText, endTag, options, placeholderPatterns) {
+        return UnstructuredTextMasher._findTagOccurrences(destinationText,
+            UnstructuredTextMasher._createEndTagRegExp(endTag, 'g', options, placeholderPatterns));
+    }
+
+    /**
+     * Returns all (non-overlapping) matches of the global tag regexp created by
+     * _createTagRegExp() in the destination text. Each occurrence carries the values
+     * of tag's placeholders (e.g. "fingerprint" for %fingerprint% placeholder) with the
+     * values of metadata placeholders in its "metadata" property.
+     *
+     * @private
+     */
+    static _findTagOccurrences(destinationText, tagRegExp) {
+        const occurrences = [];
+        tagRegExp.lastIndex = 0;
+        var match = null;
+        while((match = tagRegExp.exec(destinationText)) !== null) {
+            const occurrence = {
+                index: match.index,
+                endIndex: match.index + match[0].length,
+                metadata: {}
+            };
+            tagRegExp.placeholders.forEach((placeholder, index) => {
+                if (placeholder === FINGERPRINT_PLACEHOLDER || placeholder === NAME_PLACEHOLDER) {
+                    occurrence[placeholder.slice(1, -1)] = match[index + 1];
+                } else {
+                    occurrence.metadata[placeholder.slice(1, -1)] = match[index + 1];
+                }
+            });
+            occurrences.push(occurrence);
+            //  Guard against empty tags which would match forever at the same index.
+            if (match[0].length === 0) {
+                tagRegExp.lastIndex++;
+            }
+        }
+        return occurrences;
+    }
+
+    /**
+     * Replaces the fingerprint placeholder in end tag and makes a regexp out of it.
+     * With that regexp we can search for end tag occurrencies without knowing the
+     * fingeprint's actual value.
+     *
+     * @private
+     */
+    static _createEndTagRegExp(endTag, flags, options, placeholderPatterns) {
+        return UnstructuredTextMasher._createTagRegExp(endTag, _.assign({
+            [FINGERPRINT_PLACEHOLDER]: Fingerprint.PATTERN
+        }, placeholderPatterns), flags, options);
+    }
+
+    /**
+     * Makes a regexp out of the tag replacing its placeholders with the given patterns.
+     * Each placeholder is captured in its own group the first time it appears in the
+     * tag and back referenced in its subsequent appearances. The placeholders in the
+     * order of their groups are stored in the "placeholders" property of the regexp.
+     * Placeholders' specifications (as in %fingerprint:sha256%) do not affect the
+     * patterns they are replaced with.
+     *
+     * Metadata placeholders (the standard ones and the ones with values in the options)
+     * without given patterns match any value within a line up to the text following
+     * them in the tag or, at the end of the tag, up to the end of the line.
+     *
+     * The patterns must not contain capturing groups of their own.
+     *
+     * With normalization options the regexp also matches the tag with its line endings
+     * and trailing whitespace changed.
+     *
+     * @private
+     */
+    static _createTagRegExp(tag, placeholderPatterns, flags, options) {
+        const placeholders = [];
+        const tagPattern = Normalization.tolerateInTagPattern(
+            escapeStringRegexp(tag), options.normalizations);
+        const tagRegExp = new RegExp(
+            tagPattern.replace(PLACEHOLDER_REGEXP, (match, name, specification, offset) => {
+                const placeholder = '%' + name + '%';
+                const endsTag = offset + match.length === tagPattern.length;
+                const pattern = _.has(placeholderPatterns, placeholder) ? placeholderPatterns[placeholder] :
+                    isMetadataPlaceholder(placeholder, options.metadataKeys) ?
+                        (endsTag ? LAST_METADATA_VALUE_PATTERN : METADATA_VALUE_PATTERN) :
+                        undefined;
+                if (pattern === undefined) {
+                    return match;
+                }
+
+                const groupIndex = placeholders.indexOf(placeholder);
+                if (groupIndex !== -1) {
+                    return '\\' + (groupIndex + 1);
+                }
+
+                placeholders.push(placeholder);
+                return '(' + pattern + ')';
+            }), flags);
+        tagRegExp.placeholders = placeholders;
+        return tagRegExp;
+    }
+
+    /**
+     * Returns a copy of the options given to public functions with the defaults and the
+     * values parsed from the options (e.g. normalizations) filled in.
+     *
+     * @private
+     */
+    static _parseOptions(options) {
+        options = options || {};
+        UnstructuredTextMasher._validateInsertAt(options.insertAt);
+        const metadata = UnstructuredTextMasher._parseMetadata(options.metadata);
+        const metadataKeys = _.castArray(options.metadataKeys || []);
+        metadataKeys.forEach(UnstructuredTextMasher._validateMetadataKey);
+        return _.assign({}, options, {
+            normalizations: Normalization.parseOption(options.normalize),
+            metadata: _.assign({
+                timestamp: new Date().toISOString()
+            }, metadata),
+            metadataKeys: _.union(STANDARD_METADATA_KEYS, _.keys(metadata), metadataKeys)
+        });
+    }
+
+    /**
+     * Returns the metadata with its values converted to strings. Throws if a key is not
+     * a valid placeholder name or a value contains line breaks.
+     *
+     * @private
+     */
+    static _parseMetadata(metadata) {
+        return _.mapValues(metadata, (value, key) => {
+            UnstructuredTextMasher._validateMetadataKey(key);
+            value = String(value);
+            if (/[\r\n]/.test(value)) {
+                throw new Error(util.format('Metadata value of "%s" must not contain line breaks', key));
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Throws if the metadata key is not a valid placeholder name or is the name of
+     * a placeholder other than metadata.
+     *
+     * @private
+     */
+    static _validateMetadataKey(key) {
+        const placeholder = '%' + key + '%';
+        if (!_.isString(key) || !METADATA_KEY_REGEXP.test(key) ||
+                placeholder === FINGERPRINT_PLACEHOLDER || placeholder === NAME_PLACEHOLDER) {
+            throw new Error(util.format('Invalid metadata key "%s"', key));
+        }
+    }
+
+    /**
+     * Throws if the insertion anchor is not one of InsertAt values or a valid anchor object.
+     *
+     * @private
+     */
+    static _validateInsertAt(insertAt) {
+        const isPattern = (value) => _.isString(value) && value !== '' || _.isRegExp(value);
+        const anchors = _.pick(insertAt, ['before', 'after', 'afterLine']);
+        const valid = insertAt === undefined || _.includes(InsertAt, insertAt) || _.isObject(insertAt) &&
+            _.size(anchors) === 1 &&
+            (!_.has(anchors, 'before') || isPattern(anchors.before)) &&
+            (!_.has(anchors, 'after') || isPattern(anchors.after)) &&
+            (!_.has(anchors, 'afterLine') || _.isInteger(anchors.afterLine) && anchors.afterLine >= 0) &&
+            (insertAt.fallback === undefined || _.includes(InsertionFallback, insertAt.fallback));
+        if (!valid) {
+            throw new Error(util.format('Invalid insertion anchor %s', util.inspect(insertAt)));
+        }
+    }
+
+    /**
+     * Returns a function which converts an index in the given text into its 1-based
+     * line and column position.
+     *
+     * @private
+     */
+    static _createPositionLocator(text) {
+        const lineStartIndices = [0];
+        var index = 0;
+        while((index = text.indexOf('\n', index)) !== -1) {
+            lineStartIndices.push(++index);
+        }
+
+        return (index) => {
+            const lineIndex = _.sortedLastIndex(lineStartIndices, index) - 1;
+            return {
+                line: lineIndex + 1,
+                column: index - lineStartIndices[lineIndex] + 1
+            };
+        };
     }
 
     /**
@@ -158,48 +1486,37 @@ class UnstructuredTextMasher {
      * @param {string} beginTag
      * @param {string} sourceText
      * @param {string} endTag
+     * @param {object} options Same as mash() options.
      * @return {object} A tuple of values describing the found mash block.
      *
      * @private
      */
-    static _getMashInfo(destinationText, beginTag, sourceText, endTag) {
-        //  Iterator generator function generating all occurrences of begin tag in the
-        //  destination text.
-        function *beginTagOccurrenceIterator() {
-            var index = 0;
-            while((index = destinationText.indexOf(beginTag, index)) !== -1) {
-                yield {
-                    index: index,
-                    endIndex: index + beginTag.length
-                };
-                index += beginTag.length;
-            }
-        };
-
-        //  Replace the fingerprint placeholder in end tag and make a regexp out of it.
-        //  With that regexp we can iterate over end tag occurrencies without
-        //  knowing the fingeprint's actual value.
-        const endTagRegExp = new RegExp(
-            escapeStringRegexp(endTag).replace(
-                escapeStringRegexp(FINGERPRINT_PLACEHOLDER),
-                util.format('([0-9a-fA-F]{%d})', FINGERPRINT_VALUE_IN_HEX_LENGTH)), 'm');
-        //  Iterator generator function generating all occurrences of end tag in the
-        //  destination text.
-        function *endTagOccurrenceIterator(endOfBeginTagIndex) {
-            var index = endOfBeginTagIndex;
-            var match = null;
-            while((match = endTagRegExp.exec(destinationText.substring(index))) !== null) {
-                const endTagIndex = index + match.index;
-                const endTagEndIndex = endTagIndex + match[0].length;
-                yield {
-                    index: endTagIndex,
-                    endIndex: endTagEndIndex,
-                    fingerprint: match[1]
-                };
-                index = endTagEndIndex;
-            }
-        };
+    static _getMashInfo(destinationText, beginTag, sourceText, endTag, options) {
+        options = UnstructuredTextMasher._parseOptions(options);
+        //  All the begin and end tags are found in a single pass over the destination
+        //  text each so that pairing them up doesn't search the text over and over again.
+        return UnstructuredTextMasher._resolveMashInfo(destinationText,
+            UnstructuredTextMasher._findBeginTagOccurrences(destinationText, beginTag, options),
+            UnstructuredTextMasher._findEndTagOccurrences(destinationText, endTag, options),
+            sourceText, options);
+    }
 
+    /**
+     * Analyzes the given begin and end tag occurrences for previous text mashing and
+     * returns the information about it as described in _getMashInfo().
+     *
+     * @param {string} destinationText
+     * @param {object[]} beginTagOccurrences All the begin tag occurrences, in the order
+     *  of their appearance.
+     * @param {object[]} endTagOccurrences All the end tag occurrences, in the order of
+     *  their appearance.
+     * @param {string} sourceText
+     * @param {object} options Same as mash() options.
+     * @return {object} A tuple of values describing the found mash block.
+     *
+     * @private
+     */
+    static _resolveMashInfo(destinationText, beginTagOccurrences, endTagOccurrences, sourceText, options) {
         //  Helper function to create the info tuple we return to the caller.
         const createInfo = (state, beginTagOccurrence, endTagOccurrence) => {
             return {
@@ -207,89 +1524,229 @@ class UnstructuredTextMasher {
                 beginTagIndex: beginTagOccurrence && beginTagOccurrence.index,
                 endOfBeginTagIndex: beginTagOccurrence && beginTagOccurrence.endIndex,
                 endTagIndex: endTagOccurrence && endTagOccurrence.index,
-                endOfEndTagIndex: endTagOccurrence && endTagOccurrence.endIndex
+                endOfEndTagIndex: endTagOccurrence && endTagOccurrence.endIndex,
+                fingerprint: endTagOccurrence && endTagOccurrence.fingerprint,
+                metadata: _.assign({},
+                    beginTagOccurrence && beginTagOccurrence.metadata,
+                    endTagOccurrence && endTagOccurrence.metadata)
             };
         };
 
-        //  We need first occurrencies of begin/end tags and of the first detected invalid state
-        //  to correctly inform the caller of the properties of the first failed block.
-        var firstBeginTagOccurrence;
-        var firstEndTagOccurrence;
-        var firstInvalidState = MashState.Unmashed;
-        //  Iterate over occurrencies of begin and end tags, validating text within them
-        //  and looking for the first valid (mashed) occurrence.
-        for (var beginTagOccurrence of beginTagOccurrenceIterator()) {
-            //  Grab the first begin tag occurrence.
-            if (!firstBeginTagOccurrence) {
-                firstBeginTagOccurrence = beginTagOccurrence;
-            }
-
-            for (var endTagOccurrence of endTagOccurrenceIterator(beginTagOccurrence.endIndex)) {
-                //  Grab the first end tag occurrence.
-                if (!firstEndTagOccurrence) {
-                    firstEndTagOccurrence = endTagOccurrence;
-                }
-
-                //  Extract the source text between the begin and end tags.
-                const potentialSourceText = destinationText.substring(
-                    beginTagOccurrence.endIndex, endTagOccurrence.index);
-
-                //  Check the potential source text for tampering.
-                const sourceTextTampered = _.isString(sourceText) ?
-                    (sourceText !== potentialSourceText) : false;
-                const fingerprintInvalid = endTagOccurrence.fingerprint !==
-                    UnstructuredTextMasher._fingerprint(potentialSourceText);
-                if (firstInvalidState === MashState.Unmashed) {
-                    //  Grab the first invalid state so that we can report it if we have to.
-                    if (sourceTextTampered) {
-                        firstInvalidState = MashState.SourceTextTampered;
-                    } else if (fingerprintInvalid) {
-                        firstInvalidState = MashState.FingerprintInvalid;
-                    }
-                }
+        //  Check the potential source text between the begin and end tags for tampering.
+        //  This is done in place, without extracting the potential source text, as it
+        //  can only be the same if its length is the same. Tampered source text cannot
+        //  be mashed whatever its fingerprint. (Native startsWith is used as lodash's
+        //  one searches the whole text backwards on a mismatch.)
+        const getState = (beginTagOccurrence, endTagOccurrence) => {
+            const sourceTextTampered = _.isString(sourceText) &&
+                !(sourceText.length === endTagOccurrence.index - beginTagOccurrence.endIndex &&
+                    destinationText.startsWith(sourceText, beginTagOccurrence.endIndex));
+            return sourceTextTampered ?
+                MashState.SourceTextTampered :
+                UnstructuredTextMasher._verifyFingerprint(
+                    destinationText.substring(beginTagOccurrence.endIndex, endTagOccurrence.index),
+                    endTagOccurrence.fingerprint, options);
+        };
 
-                //  We found the first chunk of text that passes all our checks so we
-                //  consider it mashed.
-                if (!sourceTextTampered && !fingerprintInvalid) {
-                    return createInfo(MashState.Mashed, beginTagOccurrence, endTagOccurrence);
-                }
+        //  Look for the first valid (mashed) pair of begin and end tags. With the source text
+        //  given, the only end tag that can make a valid block with a begin tag is the one
+        //  right after the source text following the begin tag.
+        const findValidEndTagOccurrence = _.isString(sourceText) ?
+            (index) => {
+                const endTagOccurrenceIndex = UnstructuredTextMasher._firstEndTagOccurrenceIndexAfter(
+                    endTagOccurrences, beginTagOccurrences[index].endIndex + sourceText.length);
+                const endTagOccurrence = endTagOccurrences[endTagOccurrenceIndex];
+                return endTagOccurrence &&
+                    endTagOccurrence.index === beginTagOccurrences[index].endIndex + sourceText.length &&
+                    getState(beginTagOccurrences[index], endTagOccurrence) === MashState.Mashed ?
+                    endTagOccurrenceIndex :
+                    undefined;
+            } :
+            UnstructuredTextMasher._createEndTagOccurrenceFinder(
+                destinationText, beginTagOccurrences, endTagOccurrences,
+                UnstructuredTextMasher._pairTagOccurrences(beginTagOccurrences, endTagOccurrences),
+                (beginTagOccurrence, endTagOccurrence) =>
+                    getState(beginTagOccurrence, endTagOccurrence) === MashState.Mashed);
+        for (var index = 0; index < beginTagOccurrences.length; ++index) {
+            const validEndTagOccurrenceIndex = findValidEndTagOccurrence(index);
+            if (validEndTagOccurrenceIndex !== undefined) {
+                return createInfo(MashState.Mashed,
+                    beginTagOccurrences[index], endTagOccurrences[validEndTagOccurrenceIndex]);
             }
         }
 
         //  If the begin/tag tags are incomplete then we either don't have anything to check
         //  or we cannot check validity as we don't know where to begin from.
+        const firstBeginTagOccurrence = beginTagOccurrences[0];
         if (!firstBeginTagOccurrence) {
-            //  The consequence of iterating over end tags only relatively to begin tags is
-            //  that if there are no begin tags we will not detect any end tags (which we need
-            //  to "nicely" insert new source text immediately after the first end tag if such
-            //  exists). To fix this we manually search for the first occurrence of end tag
-            //  starting from the beginning of the destination string (the "0" below)
-            assert(!firstEndTagOccurrence);
-            for (var endTagOccurrence of endTagOccurrenceIterator(0)) {
-                firstEndTagOccurrence = endTagOccurrence;
-                break;
-            }
-
-            //  If we still don't have first end tag occurrence then we don't have neither
-            //  begin nor end tags so the text is treated as unmashed.
-            if (!firstEndTagOccurrence) {
+            //  If there are no end tags either then the text is treated as unmashed.
+            //  Otherwise we report the first end tag so that new source text can be
+            //  "nicely" inserted immediately after it.
+            if (endTagOccurrences.length === 0) {
                 return createInfo(MashState.Unmashed);
             }
 
-            return createInfo(MashState.BeginTagMissing, undefined, firstEndTagOccurrence);
+            return createInfo(MashState.BeginTagMissing, undefined, endTagOccurrences[0]);
         } else {
+            //  Report the state of the first begin tag with the first end tag after it,
+            //  the first pair that has been found invalid, to the caller.
+            const firstEndTagOccurrence = endTagOccurrences[
+                UnstructuredTextMasher._firstEndTagOccurrenceIndexAfter(
+                    endTagOccurrences, firstBeginTagOccurrence.endIndex)];
             if (!firstEndTagOccurrence) {
                 return createInfo(MashState.EndTagMissing, firstBeginTagOccurrence);
             }
 
-            //  Use the first detected invalid state to report it to the caller.
-            return createInfo(firstInvalidState, firstBeginTagOccurrence, firstEndTagOccurrence);
+            return createInfo(getState(firstBeginTagOccurrence, firstEndTagOccurrence),
+                firstBeginTagOccurrence, firstEndTagOccurrence);
         }
     }
+
+    /**
+     * Returns a function which, given the index of a begin tag occurrence, returns the index
+     * of the first end tag occurrence following it which makes a valid pair with it or
+     * undefined if there is none. The begin tag occurrences must be given in order.
+     *
+     * Each begin tag is tried with the end tags following it in order, same as if every
+     * pair was checked, until the texts between the tried pairs add up to the pairing
+     * budget (see PAIRING_BUDGET_FACTOR). From then on the begin tags are only tried with
+     * their candidate end tags (see _pairTagOccurrences()) which keeps the time linear in
+     * the length of the destination text even with many decoy tags.
+     *
+     * @param {string} destinationText
+     * @param {object[]} beginTagOccurrences
+     * @param {object[]} endTagOccurrences
+     * @param {object[]} pairings As returned by _pairTagOccurrences().
+     * @param {function(object, object): boolean} isValidPair
+     * @return {function(number): (number|undefined)}
+     *
+     * @private
+     */
+    static _createEndTagOccurrenceFinder(destinationText, beginTagOccurrences, endTagOccurrences, pairings,
+            isValidPair) {
+        var budget = Math.max(PAIRING_BUDGET_FACTOR * destinationText.length, MIN_PAIRING_BUDGET);
+        return (beginTagOccurrenceIndex) => {
+            const beginTagOccurrence = beginTagOccurrences[beginTagOccurrenceIndex];
+            var index = UnstructuredTextMasher._firstEndTagOccurrenceIndexAfter(
+                endTagOccurrences, beginTagOccurrence.endIndex);
+            for (; index < endTagOccurrences.length; ++index) {
+                const cost = 1 + endTagOccurrences[index].index - beginTagOccurrence.endIndex;
+                if (cost > budget) {
+                    break;
+                }
+
+                budget -= cost;
+                if (isValidPair(beginTagOccurrence, endTagOccurrences[index])) {
+                    return index;
+                }
+            }
+
+            //  Out of budget, only the candidates that haven't been tried yet are left.
+            return _.find(pairings[beginTagOccurrenceIndex].candidates, (candidate) =>
+                candidate >= index && isValidPair(beginTagOccurrence, endTagOccurrences[candidate]));
+        };
+    }
+
+    /**
+     * Returns the index of the first end tag occurrence at or after the given index in
+     * the destination text (the length of the occurrences if there is none).
+     *
+     * @private
+     */
+    static _firstEndTagOccurrenceIndexAfter(endTagOccurrences, index) {
+        return _.sortedIndexBy(endTagOccurrences, {index: index}, 'index');
+    }
+
+    /**
+     * Finds the end tag occurrences each begin tag occurrence may be paired with. Those
+     * are the closest end tag following the begin tag unless another begin tag comes
+     * first and the end tag closing the begin tag when the tags are matched like
+     * parentheses, if the pair is not enclosed by another such pair. The latter makes
+     * the blocks whose content has the tags of their own (e.g. the mashed text of the
+     * same tags) recognizable.
+     *
+     * The texts between the closest pairs don't overlap and neither do the texts between
+     * the outermost matching pairs so verifying all the candidate pairs takes time linear
+     * in the length of the destination text.
+     *
+     * @param {object[]} beginTagOccurrences
+     * @param {object[]} endTagOccurrences
+     * @return {{closest: (number|undefined), candidates: number[]}[]} For each begin tag
+     *  the index of its closest end tag and the indices of all its candidate end tags,
+     *  in the order of their appearance.
+     *
+     * @private
+     */
+    static _pairTagOccurrences(beginTagOccurrences, endTagOccurrences) {
+        //  Index of the first end tag occurrence after the current begin tag. As begin tags
+        //  are iterated in order, end tags before the current one are never looked at again.
+        var endTagOccurrenceIndex = 0;
+        const pairings = beginTagOccurrences.map((beginTagOccurrence, index) => {
+            while (endTagOccurrenceIndex < endTagOccurrences.length &&
+                    endTagOccurrences[endTagOccurrenceIndex].index < beginTagOccurrence.endIndex) {
+                ++endTagOccurrenceIndex;
+            }
+
+            const nextBeginTagOccurrence = beginTagOccurrences[index + 1];
+            const closest = endTagOccurrenceIndex < endTagOccurrences.length &&
+                (!nextBeginTagOccurrence ||
+                    endTagOccurrences[endTagOccurrenceIndex].index < nextBeginTagOccurrence.index) ?
+                endTagOccurrenceIndex :
+                undefined;
+            return {
+                closest: closest,
+                candidates: closest === undefined ? [] : [closest]
+            };
+        });
+
+        //  Match the tags like parentheses: each end tag closes the last begin tag not
+        //  closed yet. The pairs come in the order of their end tags.
+        const matchingPairs = [];
+        const openBeginTagOccurrenceIndices = [];
+        var beginTagOccurrenceIndex = 0;
+        endTagOccurrences.forEach((endTagOccurrence, index) => {
+            while (beginTagOccurrenceIndex < beginTagOccurrences.length &&
+                    beginTagOccurrences[beginTagOccurrenceIndex].endIndex <= endTagOccurrence.index) {
+                openBeginTagOccurrenceIndices.push(beginTagOccurrenceIndex++);
+            }
+            if (openBeginTagOccurrenceIndices.length > 0) {
+                matchingPairs.push({
+                    beginTagOccurrenceIndex: openBeginTagOccurrenceIndices.pop(),
+                    endTagOccurrenceIndex: index
+                });
+            }
+        });
+
+        //  The pairs are nested like parentheses so a pair is enclosed by another one if
+        //  any pair ending after it begins before it.
+        var firstBeginTagOccurrenceIndex = beginTagOccurrences.length;
+        _.forEachRight(matchingPairs, (pair) => {
+            if (pair.beginTagOccurrenceIndex < firstBeginTagOccurrenceIndex) {
+                firstBeginTagOccurrenceIndex = pair.beginTagOccurrenceIndex;
+                const pairing = pairings[pair.beginTagOccurrenceIndex];
+                if (pairing.closest !== pair.endTagOccurrenceIndex) {
+                    pairing.candidates.push(pair.endTagOccurrenceIndex);
+                }
+            }
+        });
+
+        return pairings;
+    }
 }
 
 UnstructuredTextMasher.MashState = MashState;
+UnstructuredTextMasher.MashAction = MashAction;
+UnstructuredTextMasher.TamperPolicy = TamperPolicy;
+UnstructuredTextMasher.InsertAt = InsertAt;
+UnstructuredTextMasher.InsertionFallback = InsertionFallback;
+UnstructuredTextMasher.ConflictMarker = ConflictMarker;
+UnstructuredTextMasher.TamperedBlockError = TamperedBlockError;
+UnstructuredTextMasher.ReportFormat = VerificationReport.ReportFormat;
+UnstructuredTextMasher.INVALID_STATES = INVALID_STATES;
 UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER = FINGERPRINT_PLACEHOLDER;
+UnstructuredTextMasher.NAME_PLACEHOLDER = NAME_PLACEHOLDER;
 UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH = FINGERPRINT_VALUE_IN_HEX_LENGTH;
+UnstructuredTextMasher.FINGERPRINT_ALGORITHMS = Fingerprint.ALGORITHMS;
+UnstructuredTextMasher.LANGUAGES = TagPresets.LANGUAGES;
 
 module.exports = UnstructuredTextMasher;
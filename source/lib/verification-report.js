@@ -0,0 +1,107 @@
+
+'use strict';
+
+const _ = require('lodash');
+const util = require('util');
+
+const ReportFormat = {
+    Human: 'human',
+    Json: 'json',
+    JUnit: 'junit'
+};
+
+const JUNIT_SUITES_NAME = 'unstructured-text-masher';
+
+const XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;'
+};
+
+/**
+ * Formats the verification report (as returned by UnstructuredTextMasher.verify()) for
+ * people or for the tools consuming the results, e.g. CI servers.
+ */
+class VerificationReport {
+
+    /**
+     * Formats the report:
+     *  - human: "file:line:column: state" line for each block and a summary line,
+     *  - json: the report itself,
+     *  - junit: JUnit XML with a test suite for each file with blocks and a test case
+     *    for each block which fails if the block is invalid.
+     *
+     * @param {object} report
+     * @param {string} format One of ReportFormat values.
+     * @return {string}
+     */
+    static format(report, format) {
+        switch (format) {
+            case ReportFormat.Human:
+                return VerificationReport._formatHuman(report);
+            case ReportFormat.Json:
+                return JSON.stringify(report, null, 2) + '\n';
+            case ReportFormat.JUnit:
+                return VerificationReport._formatJUnit(report);
+            default:
+                throw new Error(util.format('Unknown report format "%s". Supported formats are: %s',
+                    format, _.values(ReportFormat).join(', ')));
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _formatHuman(report) {
+        const lines = report.blocks.map((block) => util.format('%s:%d:%d: %s',
+            block.file, block.line, block.column, block.state));
+        lines.push(util.format('%d block(s) in %d file(s), %d invalid',
+            report.blocks.length, report.files.length, report.invalidBlocks));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    static _formatJUnit(report) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            util.format('<testsuites name="%s" tests="%d" failures="%d">',
+                JUNIT_SUITES_NAME, report.blocks.length, report.invalidBlocks)
+        ];
+        _.forEach(_.groupBy(report.blocks, 'file'), (blocks, file) => {
+            lines.push(util.format('  <testsuite name="%s" tests="%d" failures="%d">',
+                VerificationReport._escapeXml(file), blocks.length, _.reject(blocks, 'valid').length));
+            blocks.forEach((block) => {
+                const testCase = util.format('    <testcase classname="%s" name="%s"',
+                    VerificationReport._escapeXml(file),
+                    VerificationReport._escapeXml(util.format('%s:%d:%d', file, block.line, block.column)));
+                if (block.valid) {
+                    lines.push(testCase + '/>');
+                } else {
+                    lines.push(testCase + '>');
+                    lines.push(util.format('      <failure type="%s" message="%s"/>', block.state,
+                        VerificationReport._escapeXml(util.format('%s at %s:%d:%d',
+                            block.state, file, block.line, block.column))));
+                    lines.push('    </testcase>');
+                }
+            });
+            lines.push('  </testsuite>');
+        });
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    static _escapeXml(text) {
+        return text.replace(/[&<>"']/g, (character) => XML_ESCAPES[character]);
+    }
+}
+
+VerificationReport.ReportFormat = ReportFormat;
+
+module.exports = VerificationReport;
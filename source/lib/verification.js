@@ -0,0 +1,97 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const UnstructuredTextMasher = require('./unstructured-text-masher');
+const TagPresets = require('./tag-presets');
+const FileWalker = require('./file-walker');
+const TextFile = require('./text-file');
+
+//  Files without a byte order mark and with a zero byte among their first bytes are
+//  considered binary.
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Verifies the mash blocks in all the files of a directory tree, e.g. on a CI server.
+ */
+class Verification {
+
+    /**
+     * Verifies all the mash blocks in the files of the directory tree and reports each
+     * block with its state and position. Files ignored by .gitignore files and binary
+     * files are skipped. The files are decoded in the same way as in
+     * UnstructuredTextMasher.mashFile().
+     *
+     * @param {string} directory
+     * @param {object} [options] Same as UnstructuredTextMasher.mash() options plus:
+     * @param {string|string[]} [options.include] Globs of the files to verify (relative
+     *  to the directory), all files by default.
+     * @param {string|string[]} [options.exclude] Globs of the files not to verify.
+     * @param {boolean} [options.gitignore] Honor .gitignore files, true by default.
+     * @param {{beginTag: string, endTag: string}[]|function} [options.tags] Tags of the
+     *  blocks to look for or a function returning them for the given file path and text.
+     *  By default these are the comment tags of the file's language (see
+     *  TagPresets.tagsForFile()) and the files of unknown languages are skipped.
+     * @param {string} [options.label] Label of the default comment tags.
+     * @param {string} [options.encoding] Encoding of the files without a byte order
+     *  mark. By default UTF-8 or, if the file is not valid UTF-8, Latin-1.
+     * @return {{directory: string, files: string[], blocks: object[], invalidBlocks: number}}
+     *  The verified files and their blocks, each with its file, state, valid flag,
+     *  tags and the 1-based line and column of its first tag.
+     */
+    static verify(directory, options) {
+        options = options || {};
+        const tagsOf = _.isFunction(options.tags) ? options.tags : (file, text) => {
+            if (options.tags) {
+                return options.tags;
+            }
+
+            return TagPresets.languageOf(file) ?
+                [TagPresets.tagsForFile(file, {label: options.label, text: text})] :
+                [];
+        };
+
+        const report = {
+            directory: directory,
+            files: [],
+            blocks: [],
+            invalidBlocks: 0
+        };
+        FileWalker.listFiles(directory, options).forEach((file) => {
+            const buffer = fs.readFileSync(path.join(directory, file));
+            const decoded = TextFile.decode(buffer, options.encoding);
+            if (!decoded.bom && buffer.slice(0, BINARY_SNIFF_LENGTH).indexOf(0) !== -1) {
+                return;
+            }
+
+            const text = decoded.text;
+            const tags = tagsOf(file, text);
+            if (tags.length === 0) {
+                return;
+            }
+
+            report.files.push(file);
+            const blocks = _.flatMap(tags, (blockTags) =>
+                _.map(UnstructuredTextMasher.inspect(text, blockTags.beginTag, blockTags.endTag, options),
+                    (block) => {
+                        const position = block.beginTagPosition || block.endTagPosition;
+                        return {
+                            file: file,
+                            state: block.state,
+                            valid: !_.includes(UnstructuredTextMasher.INVALID_STATES, block.state),
+                            line: position.line,
+                            column: position.column,
+                            tags: blockTags
+                        };
+                    }));
+            Array.prototype.push.apply(report.blocks, _.sortBy(blocks, ['line', 'column']));
+        });
+        report.invalidBlocks = _.reject(report.blocks, 'valid').length;
+
+        return report;
+    }
+}
+
+module.exports = Verification;
@@ -0,0 +1,45 @@
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Temporary directories for the tests working with files, created in a beforeEach()
+ * hook and removed with all their content in an afterEach() one.
+ */
+class TemporaryDirectory {
+
+    /**
+     * Creates a new empty directory in the system's temporary directory.
+     *
+     * @return {string} Path of the directory.
+     */
+    static create() {
+        const directory = path.join(os.tmpdir(),
+            'unstructured-text-masher-' + crypto.randomBytes(6).toString('hex'));
+        fs.mkdirSync(directory);
+        return directory;
+    }
+
+    /**
+     * Removes the directory together with its files and subdirectories.
+     *
+     * @param {string} directory
+     */
+    static remove(directory) {
+        fs.readdirSync(directory).forEach((name) => {
+            const file = path.join(directory, name);
+            if (fs.lstatSync(file).isDirectory()) {
+                TemporaryDirectory.remove(file);
+            } else {
+                fs.unlinkSync(file);
+            }
+        });
+        fs.rmdirSync(directory);
+    }
+}
+
+module.exports = TemporaryDirectory;
@@ -0,0 +1,300 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+const UnstructuredTextMasherCli = require('../lib/cli');
+const TemporaryDirectory = require('./helpers/temporary-directory');
+
+describe('UnstructuredTextMasherCli', function() {
+    const ExitCode = UnstructuredTextMasherCli.ExitCode;
+
+    const DESTINATION_TEXT = 'This is a placeholder so that we can test insertions/updates.\n';
+    const SOURCE_TEXT = 'Text to be inserted/updated.\n';
+    const BEGIN_TAG = '<masher>\n';
+    const END_TAG = '</masher (%fingerprint%)>\n';
+    const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+    const UTF16_BOM = Buffer.from([0xFF, 0xFE]);
+
+    var directory;
+    var destinationFile;
+    var sourceFile;
+
+    beforeEach(function() {
+        directory = TemporaryDirectory.create();
+        destinationFile = path.join(directory, 'destination.txt');
+        sourceFile = path.join(directory, 'source.txt');
+        fs.writeFileSync(destinationFile, DESTINATION_TEXT);
+        fs.writeFileSync(sourceFile, SOURCE_TEXT);
+    });
+
+    afterEach(function() {
+        TemporaryDirectory.remove(directory);
+    });
+
+    //  Runs the command line capturing its output.
+    const run = (args) => {
+        const output = {
+            stdout: '',
+            stderr: ''
+        };
+        output.exitCode = UnstructuredTextMasherCli.run(args, {
+            stdout: {write: (text) => output.stdout += text},
+            stderr: {write: (text) => output.stderr += text}
+        });
+        return output;
+    };
+
+    const mashArgs = (extraArgs) => {
+        return ['mash', destinationFile, '--begin', BEGIN_TAG, '--end', END_TAG,
+            '--source', sourceFile].concat(extraArgs || []);
+    };
+
+    const checkArgs = (files) => {
+        return ['check'].concat(files, ['--begin', BEGIN_TAG, '--end', END_TAG]);
+    };
+
+    describe('mash', function() {
+        it('mashes the source file into the destination file in place', function() {
+            const output = run(mashArgs());
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            const text = fs.readFileSync(destinationFile, 'utf8');
+            assert.strictEqual(text, UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG));
+            //  No temporary files are left behind.
+            assert.deepStrictEqual(fs.readdirSync(directory).sort(),
+                ['destination.txt', 'source.txt']);
+        });
+
+        it('prints the diff without changing the file on a dry run', function() {
+            const output = run(mashArgs(['--dry-run']));
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            assert.strictEqual(fs.readFileSync(destinationFile, 'utf8'), DESTINATION_TEXT);
+            assert(output.stdout.indexOf('+' + SOURCE_TEXT) !== -1);
+        });
+
+        it('prints nothing on a dry run when there is nothing to change', function() {
+            run(mashArgs());
+            const output = run(mashArgs(['--dry-run']));
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            assert.strictEqual(output.stdout, '');
+        });
+
+        it('uses comment tags of the file\'s language', function() {
+            const scriptFile = path.join(directory, 'script.py');
+            fs.writeFileSync(scriptFile, DESTINATION_TEXT);
+            const output = run(['mash', scriptFile, '--label', 'deps', '--source', sourceFile]);
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            const tags = UnstructuredTextMasher.tagsFor('python', {label: 'deps'});
+            assert(UnstructuredTextMasher.textIsMashed(fs.readFileSync(scriptFile, 'utf8'),
+                tags.beginTag, SOURCE_TEXT, tags.endTag));
+            assert.strictEqual(run(['check', scriptFile, '--lang', 'python', '--label', 'deps']).exitCode,
+                ExitCode.Success);
+            //  Language of text files is unknown.
+            assert.strictEqual(run(['mash', destinationFile, '--source', sourceFile]).exitCode,
+                ExitCode.Error);
+        });
+
+        it('fails on missing arguments', function() {
+            assert.strictEqual(run(['mash', destinationFile]).exitCode, ExitCode.UsageError);
+            assert.strictEqual(run(_.without(mashArgs(), '--source', sourceFile)).exitCode,
+                ExitCode.UsageError);
+            assert.strictEqual(run(['unknown']).exitCode, ExitCode.UsageError);
+            assert.strictEqual(run(_.without(mashArgs(), '--end', END_TAG)).exitCode,
+                ExitCode.UsageError);
+            assert.strictEqual(run(['check', destinationFile, '--lang', 'klingon']).exitCode,
+                ExitCode.UsageError);
+        });
+
+        it('fails on missing files', function() {
+            fs.unlinkSync(sourceFile);
+            const output = run(mashArgs());
+            assert.strictEqual(output.exitCode, ExitCode.Error);
+            assert(output.stderr.length > 0);
+        });
+
+        it('mashes the source text without its byte order mark', function() {
+            const mashedText = UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            [
+                Buffer.concat([UTF8_BOM, Buffer.from(SOURCE_TEXT, 'utf8')]),
+                Buffer.concat([UTF16_BOM, Buffer.from(SOURCE_TEXT, 'utf16le')])
+            ].forEach((source) => {
+                fs.writeFileSync(destinationFile, DESTINATION_TEXT);
+                fs.writeFileSync(sourceFile, source);
+                assert.strictEqual(run(mashArgs()).exitCode, ExitCode.Success);
+                assert.strictEqual(fs.readFileSync(destinationFile, 'utf8'), mashedText);
+            });
+        });
+
+        it('writes the metadata into the tags', function() {
+            const endTag = '</masher %version% %build% (%fingerprint%)>\n';
+            const args = ['mash', destinationFile, '--begin', BEGIN_TAG, '--end', endTag, '--source', sourceFile,
+                '--metadata', 'version=1.2.3', '--metadata', 'build=a=b'];
+            assert.strictEqual(run(args).exitCode, ExitCode.Success);
+            assert(_.includes(fs.readFileSync(destinationFile, 'utf8'), '</masher 1.2.3 a=b ('));
+            assert.strictEqual(run(args.concat('--metadata', 'version')).exitCode, ExitCode.UsageError);
+        });
+
+        it('checks the blocks given only the metadata keys', function() {
+            const endTag = '</masher %build% (%fingerprint%)>\n';
+            run(['mash', destinationFile, '--begin', BEGIN_TAG, '--end', endTag, '--source', sourceFile,
+                '--metadata', 'build=7']);
+            const text = fs.readFileSync(destinationFile, 'utf8');
+            fs.writeFileSync(destinationFile, text.replace(SOURCE_TEXT, 'Tampered text.\n'));
+            const output = run(['check', destinationFile, '--begin', BEGIN_TAG, '--end', endTag,
+                '--metadata-key', 'build']);
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert.strictEqual(output.stdout,
+                destinationFile + ':2:1: ' + UnstructuredTextMasher.MashState.FingerprintInvalid + '\n');
+        });
+
+        it('applies the tamper policy', function() {
+            run(mashArgs());
+            const text = fs.readFileSync(destinationFile, 'utf8');
+            fs.writeFileSync(destinationFile, text.replace(SOURCE_TEXT, 'Tampered text.\n'));
+            const output = run(mashArgs(['--on-tampered', 'throw']));
+            assert.strictEqual(output.exitCode, ExitCode.Error);
+            assert(output.stderr.indexOf('tampered') !== -1);
+            assert.strictEqual(run(mashArgs(['--on-tampered', 'overwrite'])).exitCode, ExitCode.Success);
+            assert.strictEqual(fs.readFileSync(destinationFile, 'utf8'), text);
+            assert.strictEqual(run(mashArgs(['--on-tampered', 'ignore'])).exitCode, ExitCode.UsageError);
+        });
+
+        it('updates every valid block with --all', function() {
+            const block = UnstructuredTextMasher.mash('', BEGIN_TAG, 'Old text.\n', END_TAG);
+            fs.writeFileSync(destinationFile, block + DESTINATION_TEXT + block);
+            assert.strictEqual(run(mashArgs(['--all'])).exitCode, ExitCode.Success);
+            const newBlock = UnstructuredTextMasher.mash('', BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert.strictEqual(fs.readFileSync(destinationFile, 'utf8'), newBlock + DESTINATION_TEXT + newBlock);
+        });
+    });
+
+    describe('check', function() {
+        it('passes mashed and unmashed files', function() {
+            const unmashedFile = path.join(directory, 'unmashed.txt');
+            fs.writeFileSync(unmashedFile, DESTINATION_TEXT);
+            run(mashArgs());
+            const output = run(checkArgs([destinationFile, unmashedFile]));
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            assert.strictEqual(output.stdout, '');
+        });
+
+        it('reports tampered blocks and missing tags', function() {
+            run(mashArgs());
+            const text = fs.readFileSync(destinationFile, 'utf8');
+            fs.writeFileSync(destinationFile,
+                BEGIN_TAG + text.replace(SOURCE_TEXT, 'Tampered text.\n'));
+            const output = run(checkArgs([destinationFile]));
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert.strictEqual(output.stdout,
+                destinationFile + ':1:1: ' + UnstructuredTextMasher.MashState.EndTagMissing + '\n' +
+                destinationFile + ':3:1: ' + UnstructuredTextMasher.MashState.FingerprintInvalid + '\n');
+        });
+
+        it('verifies keyed fingerprints with the key from the key file', function() {
+            const keyFile = path.join(directory, 'key');
+            const otherKeyFile = path.join(directory, 'other-key');
+            fs.writeFileSync(keyFile, 'secret');
+            fs.writeFileSync(otherKeyFile, 'other secret');
+            run(mashArgs(['--key-file', keyFile]));
+            assert.strictEqual(run(checkArgs([destinationFile]).concat(['--key-file', keyFile])).exitCode,
+                ExitCode.Success);
+            assert.strictEqual(run(checkArgs([destinationFile]).concat(['--key-file', otherKeyFile])).exitCode,
+                ExitCode.CheckFailed);
+            assert.strictEqual(run(checkArgs([destinationFile])).exitCode, ExitCode.CheckFailed);
+        });
+
+        it('checks files with byte order marks', function() {
+            const tamperedText = UnstructuredTextMasher.mash('', BEGIN_TAG, SOURCE_TEXT, END_TAG)
+                .replace(SOURCE_TEXT, 'Tampered text.\n');
+            fs.writeFileSync(destinationFile, Buffer.concat([UTF8_BOM, Buffer.from(tamperedText, 'utf8')]));
+            fs.writeFileSync(sourceFile, Buffer.concat([UTF16_BOM, Buffer.from(tamperedText, 'utf16le')]));
+            const output = run(checkArgs([destinationFile, sourceFile]));
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert.strictEqual(output.stdout,
+                destinationFile + ':1:1: ' + UnstructuredTextMasher.MashState.FingerprintInvalid + '\n' +
+                sourceFile + ':1:1: ' + UnstructuredTextMasher.MashState.FingerprintInvalid + '\n');
+        });
+    });
+
+    describe('verify', function() {
+        const TAGS = UnstructuredTextMasher.tagsFor('javascript');
+
+        beforeEach(function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, TAGS.beginTag, SOURCE_TEXT, TAGS.endTag);
+            fs.writeFileSync(path.join(directory, 'mashed.js'), mashedText);
+            fs.writeFileSync(path.join(directory, 'tampered.js'),
+                mashedText.replace(SOURCE_TEXT, 'Tampered text.\n'));
+            fs.writeFileSync(path.join(directory, 'ignored.js'), TAGS.beginTag);
+            fs.writeFileSync(path.join(directory, '.gitignore'), 'ignored.js\n');
+        });
+
+        it('reports all the blocks in the directory', function() {
+            const output = run(['verify', directory]);
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert.strictEqual(output.stdout, [
+                'mashed.js:2:1: ' + UnstructuredTextMasher.MashState.Mashed,
+                'tampered.js:2:1: ' + UnstructuredTextMasher.MashState.FingerprintInvalid,
+                '2 block(s) in 2 file(s), 1 invalid',
+                ''
+            ].join('\n'));
+        });
+
+        it('passes directories without invalid blocks', function() {
+            const output = run(['verify', directory, '--exclude', 'tampered.js', '--format', 'json']);
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            assert.deepStrictEqual(_.map(JSON.parse(output.stdout).blocks, 'file'), ['mashed.js']);
+        });
+
+        it('honors .gitignore files unless told otherwise', function() {
+            const output = run(['verify', directory, '--include', 'ignored.js', '--no-gitignore', '--format', 'junit']);
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert(_.includes(output.stdout, '<failure type="end-tag-missing"'));
+            assert.strictEqual(run(['verify', directory, '--include', 'ignored.js']).exitCode, ExitCode.Success);
+        });
+
+        it('looks for blocks of all the given tags', function() {
+            fs.writeFileSync(destinationFile, UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG) + TAGS.beginTag);
+            const output = run(['verify', directory, '--include', '*.txt', '--format', 'json',
+                '--begin', BEGIN_TAG, '--end', END_TAG, '--begin', TAGS.beginTag, '--end', TAGS.endTag]);
+            assert.strictEqual(output.exitCode, ExitCode.CheckFailed);
+            assert.deepStrictEqual(_.map(JSON.parse(output.stdout).blocks, 'state'), [
+                UnstructuredTextMasher.MashState.Mashed,
+                UnstructuredTextMasher.MashState.EndTagMissing
+            ]);
+        });
+
+        it('decodes the files by their byte order marks', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, TAGS.beginTag, SOURCE_TEXT, TAGS.endTag);
+            fs.writeFileSync(path.join(directory, 'utf8.js'),
+                Buffer.concat([UTF8_BOM, Buffer.from(mashedText, 'utf8')]));
+            fs.writeFileSync(path.join(directory, 'utf16.js'),
+                Buffer.concat([UTF16_BOM, Buffer.from(mashedText, 'utf16le')]));
+            fs.writeFileSync(path.join(directory, 'binary.js'),
+                Buffer.concat([Buffer.from([0]), Buffer.from(mashedText, 'utf8')]));
+            const output = run(['verify', directory, '--include', 'utf*.js', '--include', 'binary.js',
+                '--format', 'json']);
+            assert.strictEqual(output.exitCode, ExitCode.Success);
+            assert.deepStrictEqual(_.map(JSON.parse(output.stdout).blocks, (block) =>
+                [block.file, block.state, block.line]), [
+                ['utf16.js', UnstructuredTextMasher.MashState.Mashed, 2],
+                ['utf8.js', UnstructuredTextMasher.MashState.Mashed, 2]
+            ]);
+        });
+
+        it('fails on invalid arguments', function() {
+            assert.strictEqual(run(['verify', directory, '--format', 'yaml']).exitCode, ExitCode.UsageError);
+            assert.strictEqual(run(['verify', directory, directory]).exitCode, ExitCode.UsageError);
+            assert.strictEqual(run(['verify', directory, '--begin', BEGIN_TAG, '--end', END_TAG, '--begin', BEGIN_TAG])
+                .exitCode, ExitCode.UsageError);
+            assert.strictEqual(run(checkArgs([destinationFile]).concat(['--begin', BEGIN_TAG, '--end', END_TAG]))
+                .exitCode, ExitCode.UsageError);
+        });
+    });
+});
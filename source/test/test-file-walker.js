@@ -0,0 +1,84 @@
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const FileWalker = require('../lib/file-walker');
+const TemporaryDirectory = require('./helpers/temporary-directory');
+
+describe('FileWalker', function() {
+    var directory;
+
+    //  Creates the files (and their directories) in the temporary directory.
+    const createFiles = (files) => {
+        Object.keys(files).forEach((file) => {
+            file.split('/').slice(0, -1).reduce((parent, name) => {
+                const subdirectory = path.join(parent, name);
+                if (!fs.existsSync(subdirectory)) {
+                    fs.mkdirSync(subdirectory);
+                }
+                return subdirectory;
+            }, directory);
+            fs.writeFileSync(path.join(directory, file), files[file]);
+        });
+    };
+
+    beforeEach(function() {
+        directory = TemporaryDirectory.create();
+        createFiles({
+            '.gitignore': 'build/\n*.log\n',
+            '.git/config': '',
+            'README.md': '',
+            'debug.log': '',
+            'build/index.js': '',
+            'src/index.js': '',
+            'src/style.css': '',
+            'src/vendor/.gitignore': '*.min.js\n!keep.min.js\n',
+            'src/vendor/lib.js': '',
+            'src/vendor/lib.min.js': '',
+            'src/vendor/keep.min.js': ''
+        });
+    });
+
+    afterEach(function() {
+        TemporaryDirectory.remove(directory);
+    });
+
+    describe('listFiles', function() {
+        it('lists the files not ignored by the .gitignore files', function() {
+            assert.deepStrictEqual(FileWalker.listFiles(directory), [
+                '.gitignore',
+                'README.md',
+                'src/index.js',
+                'src/style.css',
+                'src/vendor/.gitignore',
+                'src/vendor/keep.min.js',
+                'src/vendor/lib.js'
+            ]);
+        });
+
+        it('lists the ignored files too if told so', function() {
+            assert.deepStrictEqual(FileWalker.listFiles(directory, {gitignore: false, include: '**/*.js'}), [
+                'build/index.js',
+                'src/index.js',
+                'src/vendor/keep.min.js',
+                'src/vendor/lib.js',
+                'src/vendor/lib.min.js'
+            ]);
+        });
+
+        it('narrows the files down with include and exclude globs', function() {
+            assert.deepStrictEqual(FileWalker.listFiles(directory, {include: ['**/*.js', '*.md']}), [
+                'README.md',
+                'src/index.js',
+                'src/vendor/keep.min.js',
+                'src/vendor/lib.js'
+            ]);
+            assert.deepStrictEqual(FileWalker.listFiles(directory, {include: 'src/**', exclude: 'src/vendor/**'}), [
+                'src/index.js',
+                'src/style.css'
+            ]);
+        });
+    });
+});
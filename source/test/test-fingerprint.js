@@ -0,0 +1,109 @@
+
+'use strict';
+
+const crypto = require('crypto');
+const assert = require('assert');
+const Fingerprint = require('../lib/fingerprint');
+
+describe('Fingerprint', function() {
+    const TEXT = 'Text to be fingerprinted.';
+    const SHA1 = crypto.createHash('sha1').update(TEXT).digest('hex');
+    const SHA256 = crypto.createHash('sha256').update(TEXT).digest('hex');
+
+    describe('parseSpecification', function() {
+        it('defaults to full length SHA1', function() {
+            assert.deepStrictEqual(Fingerprint.parseSpecification(), {algorithm: 'sha1', length: 40});
+            assert.deepStrictEqual(Fingerprint.parseSpecification(''), {algorithm: 'sha1', length: 40});
+        });
+
+        it('parses algorithm and length', function() {
+            assert.deepStrictEqual(Fingerprint.parseSpecification('sha256'), {algorithm: 'sha256', length: 64});
+            assert.deepStrictEqual(Fingerprint.parseSpecification('sha512:16'), {algorithm: 'sha512', length: 16});
+            assert.deepStrictEqual(Fingerprint.parseSpecification('fnv1a'), {algorithm: 'fnv1a', length: 8});
+        });
+
+        it('rejects unknown algorithms and invalid lengths', function() {
+            assert.throws(() => Fingerprint.parseSpecification('md4'));
+            assert.throws(() => Fingerprint.parseSpecification('sha256:4'));
+            assert.throws(() => Fingerprint.parseSpecification('sha256:65'));
+            assert.throws(() => Fingerprint.parseSpecification('sha256:x'));
+            assert.throws(() => Fingerprint.parseSpecification('sha256:16:1'));
+        });
+    });
+
+    describe('compute', function() {
+        it('stores full length SHA1 fingerprints as bare hex digests', function() {
+            assert.strictEqual(Fingerprint.compute(TEXT), SHA1);
+        });
+
+        it('records the algorithm with all other fingerprints', function() {
+            assert.strictEqual(Fingerprint.compute(TEXT, Fingerprint.parseSpecification('sha256')),
+                'sha256:' + SHA256);
+            assert.strictEqual(Fingerprint.compute(TEXT, Fingerprint.parseSpecification('sha256:12')),
+                'sha256:' + SHA256.substring(0, 12));
+            assert.strictEqual(Fingerprint.compute(TEXT, Fingerprint.parseSpecification('sha1:10')),
+                'sha1:' + SHA1.substring(0, 10));
+        });
+
+        it('computes FNV-1a hashes', function() {
+            const fnv1a = Fingerprint.parseSpecification('fnv1a');
+            assert.strictEqual(Fingerprint.compute('', fnv1a), 'fnv1a:811c9dc5');
+            assert.strictEqual(Fingerprint.compute('a', fnv1a), 'fnv1a:e40c292c');
+            assert.strictEqual(Fingerprint.compute('foobar', fnv1a), 'fnv1a:bf9cf968');
+        });
+    });
+
+    describe('verify', function() {
+        it('verifies fingerprints of all algorithms and lengths', function() {
+            ['', 'sha1:8', 'sha256', 'sha256:20', 'sha512', 'fnv1a'].forEach((specification) => {
+                const fingerprint = Fingerprint.compute(TEXT, Fingerprint.parseSpecification(specification));
+                assert(Fingerprint.verify(TEXT, fingerprint));
+                assert(!Fingerprint.verify(TEXT + ' ', fingerprint));
+            });
+        });
+
+        it('verifies keyed fingerprints only with their key', function() {
+            const fingerprint = Fingerprint.compute(TEXT, Fingerprint.parseSpecification('sha256:32'), 'key');
+            assert.strictEqual(fingerprint, 'hmac-sha256:' +
+                crypto.createHmac('sha256', 'key').update(TEXT).digest('hex').substring(0, 32));
+            assert(Fingerprint.verify(TEXT, fingerprint, 'key'));
+            assert(Fingerprint.verify(TEXT, fingerprint, Buffer.from('key')));
+            assert(!Fingerprint.verify(TEXT, fingerprint, 'other key'));
+            assert(!Fingerprint.verify(TEXT, fingerprint));
+            assert.strictEqual(Fingerprint.specificationOf(fingerprint).keyed, true);
+            assert.strictEqual(Fingerprint.specificationOf(SHA1).keyed, false);
+        });
+
+        it('compares keyed fingerprints in constant time', function() {
+            const fingerprint = Fingerprint.compute(TEXT, Fingerprint.parseSpecification('sha256'), 'key');
+            const timingSafeEqual = crypto.timingSafeEqual;
+            const comparisons = [];
+            crypto.timingSafeEqual = function(a, b) {
+                comparisons.push([a.toString(), b.toString()]);
+                return timingSafeEqual.apply(this, arguments);
+            };
+            try {
+                assert(Fingerprint.verify(TEXT, fingerprint, 'key'));
+                assert(!Fingerprint.verify(TEXT + ' ', fingerprint, 'key'));
+                assert(!Fingerprint.verify(TEXT, fingerprint, 'other key'));
+            } finally {
+                crypto.timingSafeEqual = timingSafeEqual;
+            }
+            assert.strictEqual(comparisons.length, 3);
+            assert.deepStrictEqual(comparisons[0], [fingerprint, fingerprint]);
+        });
+
+        it('refuses to compute keyed non-cryptographic fingerprints', function() {
+            assert.throws(() => Fingerprint.compute(TEXT, Fingerprint.parseSpecification('fnv1a'), 'key'));
+        });
+
+        it('rejects malformed fingerprints', function() {
+            assert(!Fingerprint.verify(TEXT, SHA1.toUpperCase()));
+            assert(!Fingerprint.verify(TEXT, 'sha1:' + SHA1));
+            assert(!Fingerprint.verify(TEXT, SHA1.substring(0, 20)));
+            assert(!Fingerprint.verify(TEXT, 'sha256:' + SHA256.substring(0, 4)));
+            assert(!Fingerprint.verify(TEXT, 'md5:' + SHA256));
+            assert(!Fingerprint.verify(TEXT, 'hmac-fnv1a:' + SHA256, 'key'));
+        });
+    });
+});
@@ -0,0 +1,36 @@
+
+'use strict';
+
+const assert = require('assert');
+const Merge = require('../lib/merge');
+
+describe('Merge', function() {
+    const BASE = 'line 1\nline 2\nline 3\nline 4\nline 5\n';
+
+    describe('threeWay', function() {
+        it('merges changes of different lines', function() {
+            assert.strictEqual(Merge.threeWay(BASE,
+                BASE.replace('line 1', 'ours 1'),
+                BASE.replace('line 4\n', '').replace('line 5', 'theirs 5\nmore')),
+                'ours 1\nline 2\nline 3\ntheirs 5\nmore\n');
+        });
+
+        it('merges identical changes', function() {
+            const changed = BASE.replace('line 3', 'both 3');
+            assert.strictEqual(Merge.threeWay(BASE, changed, changed), changed);
+            assert.strictEqual(Merge.threeWay(BASE, BASE, changed), changed);
+        });
+
+        it('rejects conflicting changes of the same or adjacent lines', function() {
+            assert.strictEqual(Merge.threeWay(BASE,
+                BASE.replace('line 2', 'ours 2'), BASE.replace('line 2', 'theirs 2')), undefined);
+            assert.strictEqual(Merge.threeWay(BASE,
+                BASE.replace('line 2', 'ours 2'), BASE.replace('line 3', 'theirs 3')), undefined);
+        });
+
+        it('handles texts without final line breaks', function() {
+            assert.strictEqual(Merge.threeWay('a\nb', 'x\na\nb', 'a\nb\nc'), 'x\na\nb\nc');
+            assert.strictEqual(Merge.threeWay('', 'a', ''), 'a');
+        });
+    });
+});
@@ -0,0 +1,68 @@
+
+'use strict';
+
+const assert = require('assert');
+const Normalization = require('../lib/normalization');
+
+describe('Normalization', function() {
+    const ALL = Normalization.parseOption(true);
+
+    describe('parseOption', function() {
+        it('parses all, some and no normalizations', function() {
+            assert.deepStrictEqual(ALL, {
+                unicode: true,
+                lineEndings: true,
+                trailingWhitespace: true,
+                finalNewline: true
+            });
+            assert.deepStrictEqual(Normalization.parseOption({lineEndings: true}), {
+                unicode: false,
+                lineEndings: true,
+                trailingWhitespace: false,
+                finalNewline: false
+            });
+            assert.strictEqual(Normalization.parseOption(), undefined);
+            assert.strictEqual(Normalization.parseOption(false), undefined);
+            assert.strictEqual(Normalization.parseOption({lineEndings: false}), undefined);
+        });
+
+        it('rejects unknown normalizations', function() {
+            assert.throws(() => Normalization.parseOption({tabs: true}));
+        });
+    });
+
+    describe('normalize', function() {
+        it('applies the normalizations', function() {
+            const normalize = (text, normalization) =>
+                Normalization.normalize(text, Normalization.parseOption({[normalization]: true}));
+            assert.strictEqual(normalize('e\u0301', 'unicode'), '\u00e9');
+            assert.strictEqual(normalize('a\r\nb\rc\n', 'lineEndings'), 'a\nb\nc\n');
+            assert.strictEqual(normalize('a \t\r\nb  \nc ', 'trailingWhitespace'), 'a\r\nb\nc');
+            assert.strictEqual(normalize('a\n\nb\r\n\n', 'finalNewline'), 'a\n\nb');
+        });
+
+        it('ignores what editors change but not the content', function() {
+            const text = 'first line\nsecond line\n';
+            assert.strictEqual(Normalization.normalize('first line  \r\nsecond line', ALL),
+                Normalization.normalize(text, ALL));
+            assert.notStrictEqual(Normalization.normalize('first line\n\nsecond line', ALL),
+                Normalization.normalize(text, ALL));
+            assert.notStrictEqual(Normalization.normalize('first  line\nsecond line', ALL),
+                Normalization.normalize(text, ALL));
+        });
+
+        it('leaves the text intact without normalizations', function() {
+            assert.strictEqual(Normalization.normalize('a \r\n', undefined), 'a \r\n');
+        });
+    });
+
+    describe('tolerateInTagPattern', function() {
+        it('matches tags with changed line endings and trailing whitespace', function() {
+            const tagRegExp = new RegExp('^' + Normalization.tolerateInTagPattern('\r\n# tag \r\n', ALL) + '$');
+            assert(tagRegExp.test('\r\n# tag \r\n'));
+            assert(tagRegExp.test('\n# tag\n'));
+            assert(tagRegExp.test('\r\n# tag\t\n'));
+            assert(!tagRegExp.test('\n#  tag\n'));
+        });
+    });
+});
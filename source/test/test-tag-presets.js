@@ -0,0 +1,78 @@
+
+'use strict';
+
+const assert = require('assert');
+const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+const TagPresets = require('../lib/tag-presets');
+
+describe('TagPresets', function() {
+    const DESTINATION_TEXT = 'line 1\r\nline 2\r\n';
+    const SOURCE_TEXT = 'generated = True';
+
+    describe('tagsFor', function() {
+        it('builds tags out of line comments', function() {
+            assert.deepStrictEqual(TagPresets.tagsFor('python', {label: 'deps'}), {
+                beginTag: '\n# BEGIN GENERATED deps\n',
+                endTag: '\n# END GENERATED deps (%fingerprint%)\n'
+            });
+        });
+
+        it('builds tags out of block comments', function() {
+            assert.deepStrictEqual(TagPresets.tagsFor('markdown'), {
+                beginTag: '\n<!-- BEGIN GENERATED -->\n',
+                endTag: '\n<!-- END GENERATED (%fingerprint%) -->\n'
+            });
+            assert.deepStrictEqual(TagPresets.tagsFor('css', {fingerprint: 'sha256'}), {
+                beginTag: '\n/* BEGIN GENERATED */\n',
+                endTag: '\n/* END GENERATED (%fingerprint:sha256%) */\n'
+            });
+        });
+
+        it('respects the line ending of the text', function() {
+            const tags = TagPresets.tagsFor('sql', {text: DESTINATION_TEXT});
+            assert.strictEqual(tags.beginTag, '\r\n-- BEGIN GENERATED\r\n');
+            assert.strictEqual(TagPresets.tagsFor('sql', {text: DESTINATION_TEXT, lineEnding: '\n'}).beginTag,
+                '\n-- BEGIN GENERATED\n');
+        });
+
+        it('builds tags which can be mashed', function() {
+            UnstructuredTextMasher.LANGUAGES.forEach((language) => {
+                const tags = UnstructuredTextMasher.tagsFor(language, {text: DESTINATION_TEXT});
+                const mashedText = UnstructuredTextMasher.mash(
+                    DESTINATION_TEXT, tags.beginTag, SOURCE_TEXT, tags.endTag);
+                assert(UnstructuredTextMasher.textIsMashed(
+                    mashedText, tags.beginTag, SOURCE_TEXT, tags.endTag));
+                //  Tags are on their own lines.
+                assert.strictEqual(mashedText.split('\r\n')[4], SOURCE_TEXT);
+            });
+        });
+
+        it('rejects unknown languages', function() {
+            assert.throws(() => TagPresets.tagsFor('klingon'));
+        });
+    });
+
+    describe('tagsForFile', function() {
+        it('selects the language from the file extension or name', function() {
+            assert.strictEqual(TagPresets.languageOf('src/index.js'), 'javascript');
+            assert.strictEqual(TagPresets.languageOf('README.MD'), 'markdown');
+            assert.strictEqual(TagPresets.languageOf('config/app.yml'), 'yaml');
+            assert.strictEqual(TagPresets.languageOf('Makefile'), 'makefile');
+            assert.strictEqual(TagPresets.languageOf('notes.txt'), undefined);
+            assert.deepStrictEqual(UnstructuredTextMasher.tagsForFile('setup.py', {label: 'deps'}),
+                TagPresets.tagsFor('python', {label: 'deps'}));
+        });
+
+        it('rejects files of unknown languages', function() {
+            assert.throws(() => TagPresets.tagsForFile('notes.txt'));
+        });
+    });
+
+    describe('detectLineEnding', function() {
+        it('detects the line ending by the first line break', function() {
+            assert.strictEqual(TagPresets.detectLineEnding('a\r\nb\n'), '\r\n');
+            assert.strictEqual(TagPresets.detectLineEnding('a\nb\r\n'), '\n');
+            assert.strictEqual(TagPresets.detectLineEnding('a'), '\n');
+        });
+    });
+});
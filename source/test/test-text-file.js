@@ -0,0 +1,97 @@
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const TextFile = require('../lib/text-file');
+const TextTransform = require('../lib/text-transform');
+const TemporaryDirectory = require('./helpers/temporary-directory');
+
+describe('TextFile', function() {
+    const TEXT = 'Žuti\r\nkrug ☀\n';
+
+    const utf16be = (text) => {
+        const buffer = Buffer.from(text, 'utf16le');
+        for (var index = 0; index < buffer.length; index += 2) {
+            buffer.writeUInt16BE(buffer.readUInt16LE(index), index);
+        }
+        return buffer;
+    };
+
+    describe('decode', function() {
+        it('tells the encoding by the byte order mark', function() {
+            [
+                [Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(TEXT, 'utf8')]), 'utf8'],
+                [Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(TEXT, 'utf16le')]), 'utf16le'],
+                [Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(TEXT)]), 'utf16be']
+            ].forEach((testCase) => {
+                const decoded = TextFile.decode(testCase[0]);
+                assert.deepStrictEqual(decoded, {text: TEXT, encoding: testCase[1], bom: true});
+                assert(TextFile.encode(decoded.text, decoded).equals(testCase[0]));
+            });
+        });
+
+        it('decodes the text without byte order mark as UTF-8 or Latin-1', function() {
+            assert.deepStrictEqual(TextFile.decode(Buffer.from(TEXT, 'utf8')),
+                {text: TEXT, encoding: 'utf8', bom: false});
+            const latin1 = Buffer.from([0x63, 0x61, 0x66, 0xE9, 0x0A]);
+            const decoded = TextFile.decode(latin1);
+            assert.deepStrictEqual(decoded, {text: 'café\n', encoding: 'binary', bom: false});
+            assert(TextFile.encode(decoded.text, decoded).equals(latin1));
+            assert.strictEqual(TextFile.decode(Buffer.from(TEXT, 'utf16le'), 'utf16le').text, TEXT);
+        });
+    });
+
+    describe('writeAtomically', function() {
+        var directory;
+
+        beforeEach(function() {
+            directory = TemporaryDirectory.create();
+        });
+
+        afterEach(function() {
+            TemporaryDirectory.remove(directory);
+        });
+
+        it('replaces the file keeping its mode and leaves no temporary files', function() {
+            const file = path.join(directory, 'script.sh');
+            fs.writeFileSync(file, 'old', {mode: parseInt('755', 8)});
+            TextFile.writeAtomically(file, Buffer.from(TEXT));
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), TEXT);
+            assert.strictEqual(fs.statSync(file).mode & parseInt('777', 8), parseInt('755', 8));
+            assert.deepStrictEqual(fs.readdirSync(directory), ['script.sh']);
+        });
+
+        it('fails for missing files', function() {
+            assert.throws(() => TextFile.writeAtomically(path.join(directory, 'missing'), TEXT));
+            assert.deepStrictEqual(fs.readdirSync(directory), []);
+        });
+    });
+});
+
+describe('TextTransform', function() {
+    it('transforms the whole text keeping its encoding', function(done) {
+        const chunks = [];
+        const transform = new TextTransform((text) => text.toUpperCase());
+        transform.on('data', (chunk) => chunks.push(chunk));
+        transform.on('end', () => {
+            assert(Buffer.concat(chunks).equals(Buffer.from([0xFF, 0xFE, 0x41, 0x00, 0x42, 0x00])));
+            done();
+        });
+        //  The byte order mark is split between the chunks.
+        transform.write(Buffer.from([0xFF]));
+        transform.end(Buffer.from([0xFE, 0x61, 0x00, 0x62, 0x00]));
+    });
+
+    it('emits the errors of the transformation', function(done) {
+        const transform = new TextTransform(() => {
+            throw new Error('Cannot transform');
+        });
+        transform.on('error', (error) => {
+            assert.strictEqual(error.message, 'Cannot transform');
+            done();
+        });
+        transform.end('text');
+    });
+});
@@ -2,8 +2,11 @@
 'use strict';
 
 const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
 const assert = require('assert');
 const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+const TemporaryDirectory = require('./helpers/temporary-directory');
 
 describe('UnstructuredTextMasher', function() {
     assert(UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER);
@@ -149,5 +152,995 @@ describe('UnstructuredTextMasher', function() {
                 mashedText2, BEGIN_TAG, NEW_SOURCE_TEXT, END_TAG);
             assert(textIsMashed(mashedText3, NEW_SOURCE_TEXT));
         });
+
+        it('finds the block whose source text has a lone end tag', function() {
+            const sourceText = 'See ' + END_TAG.replace(
+                UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+                '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH)) + ' here.';
+            var mashedText = UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, sourceText, END_TAG);
+            assert(textIsMashed(mashedText, sourceText));
+            assert(textIsMashed(mashedText));
+            mashedText = UnstructuredTextMasher.mash(mashedText, BEGIN_TAG, sourceText, END_TAG);
+            mashedText = UnstructuredTextMasher.mash(mashedText, BEGIN_TAG, sourceText, END_TAG);
+            assert.deepStrictEqual(_.map(UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, END_TAG), 'state'),
+                [UnstructuredTextMasher.MashState.Mashed]);
+        });
+
+        it('reports the first begin tag with the first end tag after it', function() {
+            const text = BEGIN_TAG + BEGIN_TAG + SOURCE_TEXT + END_TAG.replace(
+                UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+                '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH));
+            [undefined, SOURCE_TEXT].forEach((sourceText) => {
+                const info = UnstructuredTextMasher._getMashInfo(text, BEGIN_TAG, sourceText, END_TAG);
+                assert.strictEqual(info.state, sourceText ?
+                    UnstructuredTextMasher.MashState.SourceTextTampered :
+                    UnstructuredTextMasher.MashState.FingerprintInvalid);
+                assert.strictEqual(info.beginTagIndex, 0);
+                assert.strictEqual(info.endTagIndex, 2 * BEGIN_TAG.length + SOURCE_TEXT.length);
+            });
+        });
+    });
+
+    describe('mashDetailed', function() {
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const MashState = UnstructuredTextMasher.MashState;
+
+        const mashDetailed = (text, sourceText, options) =>
+            UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, sourceText, END_TAG, options);
+
+        it('describes appends and updates', function() {
+            const appended = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT);
+            assert.deepStrictEqual(appended, {
+                text: UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG),
+                action: MashAction.Appended,
+                previousState: MashState.Unmashed,
+                changed: true,
+                range: {
+                    index: DESTINATION_TEXT.length,
+                    endIndex: appended.text.length
+                }
+            });
+            const updated = mashDetailed(appended.text, SOURCE_TEXT_2);
+            assert.strictEqual(updated.action, MashAction.Updated);
+            assert.strictEqual(updated.previousState, MashState.Mashed);
+            assert(updated.changed);
+            assert(textIsMashed(updated.text.substring(updated.range.index, updated.range.endIndex),
+                SOURCE_TEXT_2));
+        });
+
+        it('describes unchanged text', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const result = mashDetailed(mashedText, SOURCE_TEXT, {diff: true});
+            assert.strictEqual(result.text, mashedText);
+            assert.strictEqual(result.action, MashAction.Unchanged);
+            assert.strictEqual(result.changed, false);
+            assert.strictEqual(result.diff, '');
+        });
+
+        it('describes insertions next to broken blocks', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const tampered = mashDetailed(mashedText.replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT), SOURCE_TEXT);
+            assert.strictEqual(tampered.action, MashAction.InsertedBeforeCorrupt);
+            assert.strictEqual(tampered.previousState, MashState.FingerprintInvalid);
+            const orphanedEnd = mashDetailed(mashedText.replace(BEGIN_TAG, ''), SOURCE_TEXT);
+            assert.strictEqual(orphanedEnd.action, MashAction.InsertedAfterOrphanEnd);
+            assert.strictEqual(orphanedEnd.previousState, MashState.BeginTagMissing);
+            assert.strictEqual(orphanedEnd.range.endIndex, orphanedEnd.text.length);
+        });
+
+        it('adds the diff of the changes', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const result = mashDetailed(mashedText, SOURCE_TEXT_2, {diff: 'file.txt'});
+            assert(/^Index: file\.txt\n/.test(result.diff));
+            const diffLines = result.diff.split('\n');
+            assert(_.some(diffLines, (line) => line[0] === '-' && _.includes(line, SOURCE_TEXT)));
+            assert(_.some(diffLines, (line) => line[0] === '+' && _.includes(line, SOURCE_TEXT_2)));
+            assert.strictEqual(mashDetailed(mashedText, SOURCE_TEXT_2).diff, undefined);
+        });
+    });
+
+    describe('insertion anchors', function() {
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const TEXT = '# Title\n[section]\nkey = value\n';
+        const BLOCK = UnstructuredTextMasher.mash('', BEGIN_TAG, SOURCE_TEXT, END_TAG);
+
+        const mashDetailed = (text, insertAt) => UnstructuredTextMasher.mashDetailed(
+            text, BEGIN_TAG, SOURCE_TEXT, END_TAG, {insertAt: insertAt});
+
+        it('inserts the block at the start or the end', function() {
+            const atStart = mashDetailed(TEXT, UnstructuredTextMasher.InsertAt.Start);
+            assert.strictEqual(atStart.text, BLOCK + TEXT);
+            assert.strictEqual(atStart.action, MashAction.InsertedAtAnchor);
+            const atEnd = mashDetailed(TEXT, UnstructuredTextMasher.InsertAt.End);
+            assert.strictEqual(atEnd.text, TEXT + BLOCK);
+            assert.strictEqual(atEnd.action, MashAction.Appended);
+        });
+
+        it('inserts the block before or after the first match', function() {
+            assert.strictEqual(mashDetailed(TEXT, {before: '['}).text,
+                '# Title\n' + BLOCK + '[section]\nkey = value\n');
+            assert.strictEqual(mashDetailed(TEXT, {after: /^\[\w+\]\n/gm}).text,
+                '# Title\n[section]\n' + BLOCK + 'key = value\n');
+            assert.strictEqual(mashDetailed(TEXT, {after: /^# .*$/m}).text,
+                '# Title' + BLOCK + '\n[section]\nkey = value\n');
+        });
+
+        it('inserts the block after the line', function() {
+            assert.strictEqual(mashDetailed(TEXT, {afterLine: 0}).text, BLOCK + TEXT);
+            assert.strictEqual(mashDetailed(TEXT, {afterLine: 2}).text,
+                '# Title\n[section]\n' + BLOCK + 'key = value\n');
+            assert.strictEqual(mashDetailed('a\nb', {afterLine: 2}).text, 'a\nb' + BLOCK);
+        });
+
+        it('falls back when the anchor is not found', function() {
+            assert.strictEqual(mashDetailed(TEXT, {after: '[other]'}).text, TEXT + BLOCK);
+            assert.strictEqual(mashDetailed(TEXT, {afterLine: 4, fallback: 'start'}).text, BLOCK + TEXT);
+            assert.throws(() => mashDetailed(TEXT, {before: /\[other\]/, fallback: 'throw'}),
+                /Insertion anchor .* was not found/);
+        });
+
+        it('updates the block wherever it is', function() {
+            const mashedText = mashDetailed(TEXT, {afterLine: 1}).text;
+            const updatedText = UnstructuredTextMasher.mash(
+                mashedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, {insertAt: 'start'});
+            assert.strictEqual(updatedText.indexOf(SOURCE_TEXT_2), mashedText.indexOf(SOURCE_TEXT));
+        });
+
+        it('rejects invalid anchors', function() {
+            [
+                'middle',
+                {},
+                {before: ''},
+                {afterLine: -1},
+                {before: 'a', after: 'b'},
+                {after: 'a', fallback: 'nowhere'}
+            ].forEach((insertAt) => assert.throws(() => mashDetailed(TEXT, insertAt), /Invalid insertion anchor/));
+        });
+    });
+
+    describe('metadata', function() {
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const META_BEGIN_TAG = '\n<masher by %generator% %version%>\n';
+        const META_END_TAG = '\n</masher %timestamp% %length% %ticket% (%fingerprint%)>\n';
+        const METADATA = {
+            generator: 'generator',
+            version: '1.2.3',
+            ticket: 42
+        };
+
+        const mashDetailed = (text, sourceText, options) => UnstructuredTextMasher.mashDetailed(
+            text, META_BEGIN_TAG, sourceText, META_END_TAG, options);
+        const inspect = (text, options) => UnstructuredTextMasher.inspect(
+            text, META_BEGIN_TAG, META_END_TAG, options || {metadata: METADATA});
+
+        it('writes metadata into both tags and parses it back', function() {
+            const text = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {
+                metadata: _.assign({timestamp: '2020-02-02T00:00:00.000Z'}, METADATA)
+            }).text;
+            assert(_.includes(text, '<masher by generator 1.2.3>'));
+            const blocks = inspect(text);
+            assert.strictEqual(blocks.length, 1);
+            assert.strictEqual(blocks[0].state, UnstructuredTextMasher.MashState.Mashed);
+            assert.deepStrictEqual(blocks[0].metadata, {
+                generator: 'generator',
+                version: '1.2.3',
+                timestamp: '2020-02-02T00:00:00.000Z',
+                length: String(SOURCE_TEXT.length),
+                ticket: '42'
+            });
+        });
+
+        it('fills in the timestamp and leaves the standard placeholders without values empty', function() {
+            const text = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT).text;
+            const block = inspect(text, {})[0];
+            assert.strictEqual(block.state, UnstructuredTextMasher.MashState.Mashed);
+            assert(!isNaN(Date.parse(block.metadata.timestamp)));
+            assert.strictEqual(block.metadata.version, '');
+            assert(!_.has(block.metadata, 'ticket'));
+        });
+
+        it('parses back the placeholders ending the tags', function() {
+            const beginTag = '\n// BEGIN by %generator%';
+            const endTag = '\n</a %fingerprint% v%version%';
+            const mash = (text, version) => UnstructuredTextMasher.mashDetailed(text, beginTag, '\nhello', endTag,
+                {metadata: {generator: 'tool', version: version}});
+            const first = mash('x', '1.3');
+            const blocks = UnstructuredTextMasher.inspect(first.text, beginTag, endTag);
+            assert.strictEqual(blocks.length, 1);
+            assert.strictEqual(blocks[0].state, UnstructuredTextMasher.MashState.Mashed);
+            assert.deepStrictEqual(_.pick(blocks[0].metadata, ['generator', 'version']),
+                {generator: 'tool', version: '1.3'});
+            const second = mash(first.text, '2.0');
+            assert.strictEqual(second.action, MashAction.Updated);
+            assert.strictEqual(second.text, first.text.replace('v1.3', 'v2.0'));
+        });
+
+        it('takes the placeholders other than the standard and given ones literally', function() {
+            const beginTag = '\n<%tag%>\n';
+            const endTag = '\n</%tag% (%fingerprint%)>\n';
+            const text = UnstructuredTextMasher.mash(DESTINATION_TEXT, beginTag, SOURCE_TEXT, endTag);
+            assert(_.includes(text, '<%tag%>'));
+            assert(UnstructuredTextMasher.textIsMashed(text, beginTag, SOURCE_TEXT, endTag));
+            assert.deepStrictEqual(UnstructuredTextMasher.inspect('<p>hello</p> <b>x</b>', '<%tag%>', endTag), []);
+            const taggedText = UnstructuredTextMasher.mash(DESTINATION_TEXT, beginTag, SOURCE_TEXT, endTag,
+                {metadata: {tag: 'p'}});
+            assert(_.includes(taggedText, '<p>'));
+        });
+
+        it('finds and verifies the blocks given only the metadata keys', function() {
+            const text = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadata: METADATA}).text;
+            const options = {metadataKeys: ['ticket']};
+            const blocks = inspect(text, options);
+            assert.strictEqual(blocks.length, 1);
+            assert.strictEqual(blocks[0].state, UnstructuredTextMasher.MashState.Mashed);
+            assert.strictEqual(blocks[0].metadata.ticket, '42');
+            assert(UnstructuredTextMasher.textIsMashed(text, META_BEGIN_TAG, undefined, META_END_TAG, options));
+            const tamperedText = text.replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            assert.strictEqual(inspect(tamperedText, options)[0].state,
+                UnstructuredTextMasher.MashState.FingerprintInvalid);
+            const result = mashDetailed(text, SOURCE_TEXT_2, options);
+            assert.strictEqual(result.action, MashAction.Updated);
+            assert(!_.includes(result.text, '%ticket%'));
+            assert.strictEqual(inspect(result.text, options).length, 1);
+        });
+
+        it('does not treat metadata changes as tampering', function() {
+            var text = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadata: METADATA}).text;
+            text = text.replace('1.2.3', '0.0.1');
+            assert(UnstructuredTextMasher.textIsMashed(text, META_BEGIN_TAG, SOURCE_TEXT, META_END_TAG,
+                {metadata: METADATA}));
+            const result = mashDetailed(text, SOURCE_TEXT_2, {metadata: METADATA});
+            assert.strictEqual(result.action, MashAction.Updated);
+            assert.strictEqual(inspect(result.text)[0].metadata.version, '1.2.3');
+        });
+
+        it('preserves the timestamp of unchanged source text if asked to', function() {
+            const options = {
+                metadata: _.assign({timestamp: 'then'}, METADATA)
+            };
+            const text = mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, options).text;
+            options.metadata.timestamp = 'now';
+            assert.strictEqual(mashDetailed(text, SOURCE_TEXT, options).action, MashAction.Updated);
+            options.preserveTimestamp = true;
+            const unchanged = mashDetailed(text, SOURCE_TEXT, options);
+            assert.strictEqual(unchanged.action, MashAction.Unchanged);
+            assert.strictEqual(unchanged.text, text);
+            const updated = mashDetailed(text, SOURCE_TEXT_2, options);
+            assert.strictEqual(inspect(updated.text)[0].metadata.timestamp, 'now');
+        });
+
+        it('rejects invalid metadata', function() {
+            assert.throws(() => mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadata: {'build-id': '1'}}),
+                /Invalid metadata key/);
+            assert.throws(() => mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadata: {fingerprint: '1'}}),
+                /Invalid metadata key/);
+            assert.throws(() => mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadata: {version: '1\n2'}}),
+                /must not contain line breaks/);
+            assert.throws(() => mashDetailed(DESTINATION_TEXT, SOURCE_TEXT, {metadataKeys: ['name']}),
+                /Invalid metadata key/);
+        });
+    });
+
+    describe('nested blocks', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const OUTER = {beginTag: '\n<outer>\n', endTag: '\n</outer (%fingerprint%)>\n'};
+        const MIDDLE = {beginTag: '\n<middle>\n', endTag: '\n</middle (%fingerprint:sha256%)>\n'};
+        const INNER = {beginTag: '\n<inner %version%>\n', endTag: '\n</inner %length% (%fingerprint%)>\n'};
+
+        const mash = (text, tags, sourceText, options) =>
+            UnstructuredTextMasher.mash(text, tags.beginTag, sourceText, tags.endTag, options);
+        const stateOf = (text, tags) => UnstructuredTextMasher.inspect(text, tags.beginTag, tags.endTag)[0].state;
+
+        //  Outer block enclosing the middle one enclosing the inner one.
+        const NESTED_TEXT = mash(DESTINATION_TEXT, OUTER,
+            'Outer.' + mash('Middle.', MIDDLE, 'Middle text.' + mash('', INNER, SOURCE_TEXT), 'After middle.'));
+
+        it('refreshes the fingerprints of the enclosing blocks', function() {
+            const options = {enclosingTags: [OUTER, MIDDLE], metadata: {version: '2'}};
+            const updatedText = mash(NESTED_TEXT, INNER, SOURCE_TEXT_2, options);
+            assert(UnstructuredTextMasher.textIsMashed(updatedText, INNER.beginTag.replace('%version%', '2'),
+                SOURCE_TEXT_2, INNER.endTag.replace('%length%', SOURCE_TEXT_2.length)));
+            assert.strictEqual(stateOf(updatedText, MIDDLE), MashState.Mashed);
+            assert.strictEqual(stateOf(updatedText, OUTER), MashState.Mashed);
+            //  Without the enclosing tags the enclosing blocks are invalidated.
+            const invalidatingText = mash(NESTED_TEXT, INNER, SOURCE_TEXT_2);
+            assert.strictEqual(stateOf(invalidatingText, MIDDLE), MashState.FingerprintInvalid);
+            assert.strictEqual(stateOf(invalidatingText, OUTER), MashState.FingerprintInvalid);
+        });
+
+        it('refreshes the enclosing blocks of the blocks mashed all at once', function() {
+            const text = mash(DESTINATION_TEXT, OUTER,
+                mash('', {beginTag: '<a>', endTag: '</a (%fingerprint%)>'}, 'a') + 'between' +
+                mash('', {beginTag: '<b>', endTag: '</b (%fingerprint%)>'}, 'b'));
+            const result = UnstructuredTextMasher.mashAll(text, {beginTag: '<%name%>', endTag: '</%name% (%fingerprint%)>'},
+                {a: 'new a', b: 'new b'}, {enclosingTags: [OUTER]});
+            assert(_.includes(result.text, '<a>new a</a'));
+            assert(_.includes(result.text, '<b>new b</b'));
+            assert.strictEqual(stateOf(result.text, OUTER), MashState.Mashed);
+        });
+
+        it('does not refresh tampered enclosing blocks', function() {
+            const tamperedText = NESTED_TEXT.replace('Outer.', 'Tampered.');
+            const updatedText = mash(tamperedText, INNER, SOURCE_TEXT_2, {enclosingTags: [OUTER, MIDDLE]});
+            assert.strictEqual(stateOf(updatedText, MIDDLE), MashState.Mashed);
+            assert.strictEqual(stateOf(updatedText, OUTER), MashState.FingerprintInvalid);
+        });
+
+        it('does not refresh the blocks the mashed block was inserted next to', function() {
+            const updatedText = mash(NESTED_TEXT, {beginTag: '<other>', endTag: '</other (%fingerprint%)>'}, 'other',
+                {enclosingTags: [OUTER]});
+            assert.strictEqual(updatedText.indexOf(NESTED_TEXT), 0);
+        });
+
+        it('inspects the tree of nested blocks', function() {
+            const text = NESTED_TEXT + INNER.beginTag;
+            const tree = UnstructuredTextMasher.inspectTree(text, [INNER, MIDDLE, OUTER]);
+            const describe = (blocks) => _.map(blocks, (block) =>
+                [block.tags.beginTag.trim(), block.state, describe(block.children)]);
+            assert.deepStrictEqual(describe(tree), [
+                ['<outer>', MashState.Mashed, [
+                    ['<middle>', MashState.Mashed, [
+                        ['<inner %version%>', MashState.Mashed, []]
+                    ]]
+                ]],
+                ['<inner %version%>', MashState.EndTagMissing, []]
+            ]);
+            assert.strictEqual(tree[0].children[0].children[0].content, SOURCE_TEXT);
+        });
+    });
+
+    describe('source text functions', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const addEntry = (entry) => (previousContent) => (previousContent || '') + entry + '\n';
+
+        it('updates the block based on its previous content', function() {
+            const calls = [];
+            const mash = (text, entry) => UnstructuredTextMasher.mash(text, BEGIN_TAG, (previousContent, state) => {
+                calls.push([previousContent, state]);
+                return addEntry(entry)(previousContent);
+            }, END_TAG);
+            const text = mash(mash(DESTINATION_TEXT, 'first'), 'second');
+            assert(textIsMashed(text, 'first\nsecond\n'));
+            assert.deepStrictEqual(calls, [
+                [undefined, MashState.Unmashed],
+                ['first\n', MashState.Mashed]
+            ]);
+        });
+
+        it('gets no content of tampered blocks', function() {
+            const text = UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG)
+                .replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            var previousState;
+            const mashedText = UnstructuredTextMasher.mash(text, BEGIN_TAG, (previousContent, state) => {
+                previousState = state;
+                return addEntry('entry')(previousContent);
+            }, END_TAG);
+            assert.strictEqual(previousState, MashState.FingerprintInvalid);
+            assert(textIsMashed(mashedText, 'entry\n'));
+        });
+
+        it('updates the named blocks based on their previous content', function() {
+            const tagTemplate = {beginTag: '<%name%>', endTag: '</%name% (%fingerprint%)>'};
+            const first = UnstructuredTextMasher.mashAll(DESTINATION_TEXT, tagTemplate,
+                {log: addEntry('first'), table: 'row'}).text;
+            const second = UnstructuredTextMasher.mashAll(first, tagTemplate, {log: addEntry('second')});
+            assert(_.includes(second.text, '<log>first\nsecond\n</log'));
+            assert(_.includes(second.text, '<table>row</table'));
+            assert.strictEqual(second.blocks.log.action, UnstructuredTextMasher.MashAction.Updated);
+        });
+
+        it('rejects functions not returning strings', function() {
+            assert.throws(() => UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, () => null, END_TAG),
+                /Source text function returned null/);
+        });
+    });
+
+    describe('every block', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const mashedBlock = (sourceText) => UnstructuredTextMasher.mash('', BEGIN_TAG, sourceText, END_TAG);
+        const SECTIONS = [DESTINATION_TEXT, mashedBlock(SOURCE_TEXT), 'Second section.', mashedBlock(SOURCE_TEXT)];
+        const all = {all: true};
+
+        it('updates every valid block', function() {
+            const text = SECTIONS.join('');
+            const result = UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, all);
+            assert.strictEqual(result.text, SECTIONS.join('').split(SECTIONS[1]).join(mashedBlock(SOURCE_TEXT_2)));
+            assert.strictEqual(result.action, MashAction.Updated);
+            assert.strictEqual(result.previousState, MashState.Mashed);
+            assert.strictEqual(result.updatedBlocks, 2);
+            assert.deepStrictEqual(result.skippedBlocks, []);
+            assert.strictEqual(result.text.substring(result.range.index, result.range.endIndex),
+                mashedBlock(SOURCE_TEXT_2));
+            //  Only the first block is updated without the option.
+            assert.strictEqual(UnstructuredTextMasher.mash(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG),
+                text.replace(SECTIONS[1], mashedBlock(SOURCE_TEXT_2)));
+        });
+
+        it('counts only the blocks that have changed', function() {
+            const text = SECTIONS[1] + mashedBlock(SOURCE_TEXT_2);
+            const result = UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, all);
+            assert.strictEqual(result.updatedBlocks, 1);
+            const unchanged = UnstructuredTextMasher.mashDetailed(result.text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, all);
+            assert.strictEqual(unchanged.action, MashAction.Unchanged);
+            assert.strictEqual(unchanged.updatedBlocks, 0);
+        });
+
+        it('skips the corrupt blocks', function() {
+            const tamperedBlock = SECTIONS[3].replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            const text = SECTIONS[1] + tamperedBlock + BEGIN_TAG;
+            const result = UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG,
+                {all: true, tamperPolicy: UnstructuredTextMasher.TamperPolicy.Overwrite});
+            assert.strictEqual(result.text, mashedBlock(SOURCE_TEXT_2) + tamperedBlock + BEGIN_TAG);
+            assert.strictEqual(result.updatedBlocks, 1);
+            assert.deepStrictEqual(_.map(result.skippedBlocks, 'state'),
+                [MashState.FingerprintInvalid, MashState.EndTagMissing]);
+            assert.strictEqual(result.skippedBlocks[0].beginTagIndex, SECTIONS[1].length);
+        });
+
+        it('mashes the text without valid blocks the usual way', function() {
+            const tamperedBlock = SECTIONS[1].replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            const text = DESTINATION_TEXT + tamperedBlock + tamperedBlock;
+            const inserted = UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, SOURCE_TEXT, END_TAG, all);
+            assert.strictEqual(inserted.action, MashAction.InsertedBeforeCorrupt);
+            assert.strictEqual(inserted.updatedBlocks, 0);
+            assert.strictEqual(inserted.skippedBlocks.length, 2);
+            const overwritten = UnstructuredTextMasher.mashDetailed(text, BEGIN_TAG, SOURCE_TEXT, END_TAG,
+                {all: true, tamperPolicy: UnstructuredTextMasher.TamperPolicy.Overwrite});
+            assert.strictEqual(overwritten.text, DESTINATION_TEXT + SECTIONS[1] + tamperedBlock);
+            assert.strictEqual(overwritten.skippedBlocks.length, 1);
+            const appended = UnstructuredTextMasher.mashDetailed(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG, all);
+            assert.strictEqual(appended.text, DESTINATION_TEXT + SECTIONS[1]);
+            assert.deepStrictEqual(appended.skippedBlocks, []);
+        });
+
+        it('calls the source text function for each block', function() {
+            const text = mashedBlock('first\n') + mashedBlock('second\n');
+            const mashedText = UnstructuredTextMasher.mash(text, BEGIN_TAG,
+                (previousContent) => previousContent + 'entry\n', END_TAG, all);
+            assert.strictEqual(mashedText, mashedBlock('first\nentry\n') + mashedBlock('second\nentry\n'));
+        });
+
+        it('verifies every valid block', function() {
+            const text = SECTIONS.join('');
+            assert(UnstructuredTextMasher.textIsMashed(text, BEGIN_TAG, SOURCE_TEXT, END_TAG, all));
+            const partlyUpdatedText = UnstructuredTextMasher.mash(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG);
+            assert(textIsMashed(partlyUpdatedText, SOURCE_TEXT_2));
+            assert(!UnstructuredTextMasher.textIsMashed(partlyUpdatedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, all));
+            assert(!UnstructuredTextMasher.textIsMashed(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG, all));
+        });
+
+        it('verifies that every block is valid without the source text', function() {
+            const text = SECTIONS.join('');
+            assert(UnstructuredTextMasher.textIsMashed(text, BEGIN_TAG, undefined, END_TAG, all));
+            const partlyUpdatedText = UnstructuredTextMasher.mash(text, BEGIN_TAG, SOURCE_TEXT_2, END_TAG);
+            assert(UnstructuredTextMasher.textIsMashed(partlyUpdatedText, BEGIN_TAG, undefined, END_TAG, all));
+            const tamperedText = text + SECTIONS[1].replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            assert(textIsMashed(tamperedText));
+            assert(!UnstructuredTextMasher.textIsMashed(tamperedText, BEGIN_TAG, undefined, END_TAG, all));
+            assert(!UnstructuredTextMasher.textIsMashed(text + BEGIN_TAG, BEGIN_TAG, undefined, END_TAG, all));
+            assert(!UnstructuredTextMasher.textIsMashed(DESTINATION_TEXT, BEGIN_TAG, undefined, END_TAG, all));
+        });
+    });
+
+    describe('async', function() {
+        it('mashes promised texts', function() {
+            return UnstructuredTextMasher.mashAsync(Promise.resolve(DESTINATION_TEXT), BEGIN_TAG,
+                Promise.resolve(SOURCE_TEXT), END_TAG).then((mashedText) => {
+                    assert.strictEqual(mashedText,
+                        UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG));
+                    return UnstructuredTextMasher.textIsMashedAsync(mashedText, BEGIN_TAG,
+                        Promise.resolve(SOURCE_TEXT), END_TAG);
+                }).then((mashed) => assert(mashed));
+        });
+
+        it('mashes the source texts promised by the function', function() {
+            const block = (sourceText) => UnstructuredTextMasher.mash('', BEGIN_TAG, sourceText, END_TAG);
+            const calls = [];
+            return UnstructuredTextMasher.mashAsync(block('first\n') + block('second\n'), BEGIN_TAG,
+                (previousContent, state) => {
+                    calls.push([previousContent, state]);
+                    return Promise.resolve(previousContent + 'entry\n');
+                }, END_TAG, {all: true}).then((mashedText) => {
+                    assert.strictEqual(mashedText, block('first\nentry\n') + block('second\nentry\n'));
+                    //  Called once per block in the dry run.
+                    assert.deepStrictEqual(calls, [
+                        ['first\n', UnstructuredTextMasher.MashState.Mashed],
+                        ['second\n', UnstructuredTextMasher.MashState.Mashed]
+                    ]);
+                });
+        });
+
+        it('rejects on errors', function() {
+            const tamperedText = UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG)
+                .replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            return UnstructuredTextMasher.mashAsync(tamperedText, BEGIN_TAG, SOURCE_TEXT, END_TAG,
+                {tamperPolicy: UnstructuredTextMasher.TamperPolicy.Throw}).then(
+                    () => assert.fail('Mashing should have failed'),
+                    (error) => assert(error instanceof UnstructuredTextMasher.TamperedBlockError));
+        });
+    });
+
+    describe('files and streams', function() {
+        const UTF16_BOM = Buffer.from([0xFF, 0xFE]);
+        const mashedText = UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+        var directory;
+        var file;
+
+        beforeEach(function() {
+            directory = TemporaryDirectory.create();
+            file = path.join(directory, 'destination.txt');
+            fs.writeFileSync(file, Buffer.concat([UTF16_BOM, Buffer.from(DESTINATION_TEXT, 'utf16le')]));
+        });
+
+        afterEach(function() {
+            TemporaryDirectory.remove(directory);
+        });
+
+        it('mashes the file in place keeping its encoding', function() {
+            const result = UnstructuredTextMasher.mashFile(file, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert.strictEqual(result.action, UnstructuredTextMasher.MashAction.Appended);
+            assert(fs.readFileSync(file).equals(Buffer.concat([UTF16_BOM, Buffer.from(mashedText, 'utf16le')])));
+            assert.deepStrictEqual(fs.readdirSync(directory), ['destination.txt']);
+        });
+
+        it('leaves the file intact when nothing changes', function() {
+            UnstructuredTextMasher.mashFile(file, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const modificationTime = new Date(2000, 0, 1);
+            fs.utimesSync(file, modificationTime, modificationTime);
+            const result = UnstructuredTextMasher.mashFile(file, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert.strictEqual(result.changed, false);
+            assert.strictEqual(fs.statSync(file).mtime.getTime(), modificationTime.getTime());
+        });
+
+        it('mashes the text flowing through the stream', function(done) {
+            const chunks = [];
+            fs.createReadStream(file)
+                .pipe(UnstructuredTextMasher.createMashStream(BEGIN_TAG, SOURCE_TEXT, END_TAG))
+                .on('data', (chunk) => chunks.push(chunk))
+                .on('end', () => {
+                    assert(Buffer.concat(chunks).equals(
+                        Buffer.concat([UTF16_BOM, Buffer.from(mashedText, 'utf16le')])));
+                    done();
+                });
+        });
+    });
+
+    describe('fingerprint algorithms', function() {
+        const SHA256_END_TAG = END_TAG.replace('%fingerprint%', '%fingerprint:sha256%');
+        const FNV1A_END_TAG = END_TAG.replace('%fingerprint%', '%fingerprint:fnv1a%');
+        const TRUNCATED_END_TAG = END_TAG.replace('%fingerprint%', '%fingerprint:sha512:16%');
+
+        it('mashes and updates text with the algorithm given in the end tag', function() {
+            [SHA256_END_TAG, FNV1A_END_TAG, TRUNCATED_END_TAG].forEach((endTag) => {
+                const mashedText = UnstructuredTextMasher.mash(
+                    DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, endTag);
+                assert(UnstructuredTextMasher.textIsMashed(mashedText, BEGIN_TAG, SOURCE_TEXT, endTag));
+                const updatedText = UnstructuredTextMasher.mash(
+                    mashedText, BEGIN_TAG, SOURCE_TEXT_2, endTag);
+                assert(UnstructuredTextMasher.textIsMashed(updatedText, BEGIN_TAG, SOURCE_TEXT_2, endTag));
+                assert.strictEqual(UnstructuredTextMasher.inspect(updatedText, BEGIN_TAG, endTag).length, 1);
+            });
+        });
+
+        it('records the algorithm in the end tag', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, TRUNCATED_END_TAG);
+            const block = UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, TRUNCATED_END_TAG)[0];
+            assert(/^sha512:[0-9a-f]{16}$/.test(block.storedFingerprint));
+            assert.strictEqual(block.computedFingerprint, block.storedFingerprint);
+        });
+
+        it('verifies blocks mashed with a different algorithm', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert(UnstructuredTextMasher.textIsMashed(mashedText, BEGIN_TAG, SOURCE_TEXT, SHA256_END_TAG));
+            const updatedText = UnstructuredTextMasher.mash(
+                mashedText, BEGIN_TAG, SOURCE_TEXT, SHA256_END_TAG);
+            assert(textIsMashed(updatedText, SOURCE_TEXT));
+            assert.strictEqual(updatedText.indexOf(UnstructuredTextMasher._fingerprint(SOURCE_TEXT)), -1);
+        });
+
+        it('detects tampering of blocks with truncated fingerprints', function() {
+            var mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, TRUNCATED_END_TAG);
+            mashedText = mashedText.replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            assert.strictEqual(UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, TRUNCATED_END_TAG)[0].state,
+                UnstructuredTextMasher.MashState.FingerprintInvalid);
+        });
+
+        it('rejects invalid fingerprint specifications', function() {
+            assert.throws(() => UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT,
+                END_TAG.replace('%fingerprint%', '%fingerprint:crc%')));
+        });
+    });
+
+    describe('keyed fingerprints', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const KEY = 'secret';
+        const OPTIONS = {key: KEY};
+
+        const stateOf = (text, options) => {
+            return UnstructuredTextMasher._getMashInfo(text, BEGIN_TAG, undefined, END_TAG, options).state;
+        };
+
+        it('mashes and updates text with HMAC fingerprints', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG, OPTIONS);
+            assert(UnstructuredTextMasher.textIsMashed(mashedText, BEGIN_TAG, SOURCE_TEXT, END_TAG, OPTIONS));
+            assert(mashedText.indexOf('hmac-sha1:') !== -1);
+            const updatedText = UnstructuredTextMasher.mash(
+                mashedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, OPTIONS);
+            assert(UnstructuredTextMasher.textIsMashed(updatedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, OPTIONS));
+            assert.strictEqual(UnstructuredTextMasher.inspect(updatedText, BEGIN_TAG, END_TAG, OPTIONS).length, 1);
+        });
+
+        it('treats HMAC fingerprints as invalid with a wrong or missing key', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG, OPTIONS);
+            assert.strictEqual(stateOf(mashedText, {key: 'wrong'}), MashState.FingerprintInvalid);
+            assert.strictEqual(stateOf(mashedText), MashState.FingerprintInvalid);
+            assert(!textIsMashed(mashedText, SOURCE_TEXT));
+            const block = UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, END_TAG)[0];
+            assert.strictEqual(block.state, MashState.FingerprintInvalid);
+            assert.strictEqual(block.computedFingerprint, undefined);
+        });
+
+        it('reports plain fingerprints as a scheme mismatch when the key is given', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert.strictEqual(stateOf(mashedText, OPTIONS), MashState.FingerprintSchemeMismatch);
+            assert.strictEqual(UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, END_TAG, OPTIONS)[0].state,
+                MashState.FingerprintSchemeMismatch);
+            //  The forged block is not updated but a new block is inserted above it.
+            const updatedText = UnstructuredTextMasher.mash(
+                mashedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, OPTIONS);
+            assert(UnstructuredTextMasher.textIsMashed(updatedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG, OPTIONS));
+            assert(updatedText.indexOf(SOURCE_TEXT_2) < updatedText.indexOf(SOURCE_TEXT));
+        });
+    });
+
+    describe('normalization', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const CRLF_BEGIN_TAG = '\r\n<masher>\r\n';
+        const CRLF_END_TAG = '\r\n</masher (%fingerprint%)>\r\n';
+        const CRLF_SOURCE_TEXT = 'First line.  \r\nSecond line.\r\n';
+        const OPTIONS = {normalize: true};
+
+        //  Mimics an editor converting line endings and stripping trailing whitespace.
+        const editorSave = (text) => text.replace(/[ \t]+(?=\r\n)/g, '').replace(/\r\n/g, '\n');
+        const stateOf = (text, options) => {
+            return UnstructuredTextMasher._getMashInfo(
+                text, CRLF_BEGIN_TAG, undefined, CRLF_END_TAG, options).state;
+        };
+
+        it('verifies blocks after editors change line endings and whitespace', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, CRLF_BEGIN_TAG, CRLF_SOURCE_TEXT, CRLF_END_TAG, OPTIONS);
+            const savedText = editorSave(mashedText);
+            assert.strictEqual(stateOf(savedText, OPTIONS), MashState.Mashed);
+            assert.strictEqual(stateOf(savedText), MashState.Unmashed);
+            assert.strictEqual(stateOf(savedText, {normalize: {trailingWhitespace: true}}),
+                MashState.Unmashed);
+        });
+
+        it('updates blocks in place after editors change line endings and whitespace', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, CRLF_BEGIN_TAG, CRLF_SOURCE_TEXT, CRLF_END_TAG, OPTIONS);
+            const updatedText = UnstructuredTextMasher.mash(
+                editorSave(mashedText), CRLF_BEGIN_TAG, SOURCE_TEXT, CRLF_END_TAG, OPTIONS);
+            assert.strictEqual(updatedText.indexOf('First line.'), -1);
+            assert(UnstructuredTextMasher.textIsMashed(
+                updatedText, CRLF_BEGIN_TAG, SOURCE_TEXT, CRLF_END_TAG, OPTIONS));
+            assert.strictEqual(
+                UnstructuredTextMasher.inspect(updatedText, CRLF_BEGIN_TAG, CRLF_END_TAG, OPTIONS).length, 1);
+        });
+
+        it('still detects content edits', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, CRLF_BEGIN_TAG, CRLF_SOURCE_TEXT, CRLF_END_TAG, OPTIONS);
+            const editedText = editorSave(mashedText).replace('Second line.', 'Second  line.');
+            assert.strictEqual(stateOf(editedText, OPTIONS), MashState.FingerprintInvalid);
+        });
+    });
+
+    describe('tamper policies', function() {
+        const TamperPolicy = UnstructuredTextMasher.TamperPolicy;
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const LINES = 'line 1\nline 2\nline 3\nline 4\n';
+        const TAGS = UnstructuredTextMasher.tagsFor('python');
+
+        const mash = (text, sourceText, options) => UnstructuredTextMasher.mashAll(text,
+            {beginTag: TAGS.beginTag.replace('GENERATED', '%name%'),
+                endTag: TAGS.endTag.replace('GENERATED', '%name%')},
+            {block: sourceText}, options);
+        const tamperedText = (editedLines) => mash(DESTINATION_TEXT, LINES).text
+            .replace(LINES, editedLines);
+
+        it('keeps both blocks by default', function() {
+            const result = mash(tamperedText(LINES.replace('line 1', 'edited 1')), SOURCE_TEXT);
+            assert.strictEqual(result.blocks.block.action, MashAction.InsertedBeforeCorrupt);
+            assert(result.text.indexOf('edited 1') > result.text.indexOf(SOURCE_TEXT));
+        });
+
+        it('throws on tampered blocks', function() {
+            const text = tamperedText(LINES.replace('line 1', 'edited 1'));
+            assert.throws(() => mash(text, SOURCE_TEXT, {tamperPolicy: TamperPolicy.Throw}), (error) =>
+                error instanceof UnstructuredTextMasher.TamperedBlockError &&
+                error.state === UnstructuredTextMasher.MashState.FingerprintInvalid &&
+                error.beginTagIndex === DESTINATION_TEXT.length);
+        });
+
+        it('overwrites tampered blocks', function() {
+            const result = mash(tamperedText(LINES.replace('line 1', 'edited 1')), SOURCE_TEXT,
+                {tamperPolicy: TamperPolicy.Overwrite});
+            assert.strictEqual(result.blocks.block.action, MashAction.Overwritten);
+            assert.strictEqual(result.text, mash(DESTINATION_TEXT, SOURCE_TEXT).text);
+        });
+
+        it('merges edits with the new source text when the previous one is known', function() {
+            const result = mash(tamperedText(LINES.replace('line 1', 'edited 1')),
+                LINES.replace('line 4', 'changed 4'),
+                {tamperPolicy: TamperPolicy.Conflict, previousSourceTexts: ['other', LINES]});
+            assert.strictEqual(result.blocks.block.action, MashAction.Merged);
+            assert.strictEqual(result.text,
+                mash(DESTINATION_TEXT, 'edited 1\nline 2\nline 3\nchanged 4\n').text);
+        });
+
+        it('surrounds conflicting edits with conflict markers', function() {
+            const newSourceText = LINES.replace('line 1', 'changed 1');
+            const text = tamperedText(LINES.replace('line 1', 'edited 1'));
+            [[LINES], undefined].forEach((previousSourceTexts) => {
+                const result = mash(text, newSourceText,
+                    {tamperPolicy: TamperPolicy.Conflict, previousSourceTexts: previousSourceTexts});
+                assert.strictEqual(result.blocks.block.action, MashAction.Conflicted);
+                assert.strictEqual(result.text,
+                    DESTINATION_TEXT + '\n' +
+                    '<<<<<<< edited\n' +
+                    text.substring(DESTINATION_TEXT.length) +
+                    (previousSourceTexts ? '||||||| previous\n' + LINES : '') +
+                    '=======\n' +
+                    mash('', newSourceText).text +
+                    '>>>>>>> generated');
+                //  The new block is still valid.
+                assert.strictEqual(mash(result.text, newSourceText).blocks.block.action,
+                    MashAction.Unchanged);
+            });
+        });
+    });
+
+    describe('mashAll', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+        const MashAction = UnstructuredTextMasher.MashAction;
+        const TAG_TEMPLATE = {
+            beginTag: '\n<masher %name%>\n',
+            endTag: '\n</masher %name% (%fingerprint%)>\n'
+        };
+        const tagsOf = (name) => {
+            return {
+                beginTag: TAG_TEMPLATE.beginTag.replace('%name%', name),
+                endTag: TAG_TEMPLATE.endTag.replace('%name%', name)
+            };
+        };
+        const namedTextIsMashed = (text, name, sourceText) => {
+            const tags = tagsOf(name);
+            return UnstructuredTextMasher.textIsMashed(text, tags.beginTag, sourceText, tags.endTag);
+        };
+
+        it('appends all the named blocks in the order of their names', function() {
+            const result = UnstructuredTextMasher.mashAll(DESTINATION_TEXT, TAG_TEMPLATE, {
+                first: SOURCE_TEXT,
+                second: SOURCE_TEXT_2
+            });
+            assert(namedTextIsMashed(result.text, 'first', SOURCE_TEXT));
+            assert(namedTextIsMashed(result.text, 'second', SOURCE_TEXT_2));
+            assert(result.text.indexOf(SOURCE_TEXT) < result.text.indexOf(SOURCE_TEXT_2));
+            assert.deepStrictEqual(result.blocks, {
+                first: {state: MashState.Unmashed, action: MashAction.Appended},
+                second: {state: MashState.Unmashed, action: MashAction.Appended}
+            });
+        });
+
+        it('updates, inserts and appends the named blocks in a single pass', function() {
+            const tags = tagsOf('tampered');
+            var text = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, tags.beginTag, SOURCE_TEXT, tags.endTag);
+            text = text.replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            text = UnstructuredTextMasher.mashAll(text, TAG_TEMPLATE, {
+                updated: SOURCE_TEXT
+            }).text;
+            const result = UnstructuredTextMasher.mashAll(text, TAG_TEMPLATE, {
+                updated: SOURCE_TEXT_2,
+                tampered: SOURCE_TEXT_2,
+                appended: SOURCE_TEXT
+            });
+            assert.deepStrictEqual(result.blocks, {
+                updated: {state: MashState.Mashed, action: MashAction.Updated},
+                tampered: {state: MashState.FingerprintInvalid, action: MashAction.InsertedBeforeCorrupt},
+                appended: {state: MashState.Unmashed, action: MashAction.Appended}
+            });
+            assert(namedTextIsMashed(result.text, 'updated', SOURCE_TEXT_2));
+            assert(namedTextIsMashed(result.text, 'tampered', SOURCE_TEXT_2));
+            assert(namedTextIsMashed(result.text, 'appended', SOURCE_TEXT));
+            assert(result.text.indexOf(TAMPERED_SOURCE_TEXT) !== -1);
+            assert.strictEqual(result.text.indexOf(SOURCE_TEXT),
+                result.text.lastIndexOf(SOURCE_TEXT));
+        });
+
+        it('gives the same results as mashing the blocks one by one', function() {
+            const sourceTexts = {
+                'a.b': SOURCE_TEXT,
+                'a': SOURCE_TEXT_2
+            };
+            var text = DESTINATION_TEXT;
+            _.forEach(sourceTexts, (sourceText, name) => {
+                const tags = tagsOf(name);
+                text = UnstructuredTextMasher.mash(text, tags.beginTag, sourceText, tags.endTag);
+            });
+            assert.strictEqual(
+                UnstructuredTextMasher.mashAll(DESTINATION_TEXT, TAG_TEMPLATE, sourceTexts).text,
+                text);
+            const result = UnstructuredTextMasher.mashAll(text, TAG_TEMPLATE, sourceTexts);
+            assert.strictEqual(result.text, text);
+            assert.strictEqual(result.changed, false);
+            assert.deepStrictEqual(_.uniq(_.map(result.blocks, 'action')), [MashAction.Unchanged]);
+        });
+
+        it('tells apart the names which are prefixes of other names', function() {
+            const tagTemplate = {
+                beginTag: '\n// BEGIN %name%',
+                endTag: '\n// END %name% %fingerprint%'
+            };
+            const sourceTexts = {
+                a: SOURCE_TEXT,
+                ab: SOURCE_TEXT_2
+            };
+            const text = UnstructuredTextMasher.mashAll(DESTINATION_TEXT, tagTemplate, sourceTexts).text;
+            const result = UnstructuredTextMasher.mashAll(text, tagTemplate, sourceTexts);
+            assert.strictEqual(result.text, text);
+            assert.deepStrictEqual(result.blocks, {
+                a: {state: MashState.Mashed, action: MashAction.Unchanged},
+                ab: {state: MashState.Mashed, action: MashAction.Unchanged}
+            });
+        });
+
+        it('requires the name placeholder in both tags', function() {
+            const isPlaceholderError = (error) =>
+                !(error instanceof assert.AssertionError) && /must contain %name% placeholder/.test(error.message);
+            assert.throws(() => UnstructuredTextMasher.mashAll(
+                DESTINATION_TEXT, {beginTag: BEGIN_TAG, endTag: TAG_TEMPLATE.endTag}, {}), isPlaceholderError);
+            assert.throws(() => UnstructuredTextMasher.mashAll(
+                DESTINATION_TEXT, {beginTag: TAG_TEMPLATE.beginTag, endTag: END_TAG}, {}), isPlaceholderError);
+        });
+    });
+
+    describe('inspect', function() {
+        const MashState = UnstructuredTextMasher.MashState;
+
+        it('returns no blocks for unmashed text', function() {
+            assert.deepStrictEqual(
+                UnstructuredTextMasher.inspect(DESTINATION_TEXT, BEGIN_TAG, END_TAG), []);
+        });
+
+        it('describes a mashed block', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const blocks = UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, END_TAG);
+            assert.strictEqual(blocks.length, 1);
+            const block = blocks[0];
+            assert.strictEqual(block.state, MashState.Mashed);
+            assert.strictEqual(block.beginTagIndex, DESTINATION_TEXT.length);
+            assert.strictEqual(block.endOfEndTagIndex, mashedText.length);
+            assert.deepStrictEqual(block.beginTagPosition, {
+                line: 1,
+                column: DESTINATION_TEXT.length + 1
+            });
+            //  Begin tag leaves a carriage return at the start of the source text's line.
+            assert.deepStrictEqual(block.endTagPosition, {line: 4, column: 2 + SOURCE_TEXT.length});
+            assert.strictEqual(block.content, SOURCE_TEXT);
+            assert.strictEqual(block.storedFingerprint, block.computedFingerprint);
+            assert.strictEqual(block.computedFingerprint, UnstructuredTextMasher._fingerprint(SOURCE_TEXT));
+        });
+
+        it('describes all tampered and valid blocks', function() {
+            var mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            mashedText = mashedText.replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+            mashedText = UnstructuredTextMasher.mash(
+                mashedText, BEGIN_TAG, SOURCE_TEXT_2, END_TAG);
+            const orphanedEndTag = END_TAG.replace(
+                UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+                '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH));
+            mashedText = orphanedEndTag + mashedText + BEGIN_TAG;
+            const blocks = UnstructuredTextMasher.inspect(mashedText, BEGIN_TAG, END_TAG);
+            assert.deepStrictEqual(_.map(blocks, 'state'), [
+                MashState.BeginTagMissing,
+                MashState.Mashed,
+                MashState.FingerprintInvalid,
+                MashState.EndTagMissing
+            ]);
+            assert.strictEqual(blocks[0].beginTagIndex, undefined);
+            assert.strictEqual(blocks[0].endTagIndex, 0);
+            assert.strictEqual(blocks[0].content, undefined);
+            assert.strictEqual(blocks[1].content, SOURCE_TEXT_2);
+            assert.strictEqual(blocks[2].content, TAMPERED_SOURCE_TEXT);
+            assert.notStrictEqual(blocks[2].storedFingerprint, blocks[2].computedFingerprint);
+            assert.strictEqual(blocks[2].storedFingerprint, UnstructuredTextMasher._fingerprint(SOURCE_TEXT));
+            assert.strictEqual(blocks[3].beginTagIndex, mashedText.length - BEGIN_TAG.length);
+            assert.strictEqual(blocks[3].endTagIndex, undefined);
+        });
+
+        it('pairs begin tags followed by orphaned end tags', function() {
+            const orphanedEndTag = END_TAG.replace(UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+                '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH));
+            const mashedText = UnstructuredTextMasher.mash('', BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const text = _.repeat(BEGIN_TAG + DESTINATION_TEXT, 3) + _.repeat(orphanedEndTag + DESTINATION_TEXT, 3) +
+                mashedText;
+            assert.deepStrictEqual(_.map(UnstructuredTextMasher.inspect(text, BEGIN_TAG, END_TAG), 'state'), [
+                MashState.EndTagMissing,
+                MashState.EndTagMissing,
+                MashState.FingerprintInvalid,
+                MashState.BeginTagMissing,
+                MashState.BeginTagMissing,
+                MashState.Mashed
+            ]);
+            assert(textIsMashed(text, SOURCE_TEXT));
+        });
+
+        it('treats tags within mashed source text as its content', function() {
+            const mashedText1 = UnstructuredTextMasher.mash(
+                '', BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            const mashedText2 = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, mashedText1, END_TAG);
+            const blocks = UnstructuredTextMasher.inspect(mashedText2, BEGIN_TAG, END_TAG);
+            assert.strictEqual(blocks.length, 1);
+            assert.strictEqual(blocks[0].state, MashState.Mashed);
+            assert.strictEqual(blocks[0].content, mashedText1);
+        });
+    });
+
+    describe('unmash and prune', function() {
+        const ORPHANED_END_TAG = END_TAG.replace(
+            UnstructuredTextMasher.FINGERPRINT_PLACEHOLDER,
+            '0'.repeat(UnstructuredTextMasher.FINGERPRINT_VALUE_IN_HEX_LENGTH));
+
+        const TAMPERED_TEXT = UnstructuredTextMasher.mash(
+            DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG).replace(SOURCE_TEXT, TAMPERED_SOURCE_TEXT);
+        //  Destination text with an orphaned end tag, a valid block (inserted above the
+        //  tampered one), a tampered block and an orphaned begin tag.
+        const BROKEN_TEXT = ORPHANED_END_TAG +
+            UnstructuredTextMasher.mash(TAMPERED_TEXT, BEGIN_TAG, SOURCE_TEXT_2, END_TAG) +
+            BEGIN_TAG;
+
+        it('removes the mashed block with its tags', function() {
+            const mashedText = UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT, END_TAG);
+            assert.strictEqual(UnstructuredTextMasher.unmash(mashedText, BEGIN_TAG, END_TAG),
+                DESTINATION_TEXT);
+            assert.strictEqual(UnstructuredTextMasher.unmash(DESTINATION_TEXT, BEGIN_TAG, END_TAG),
+                DESTINATION_TEXT);
+        });
+
+        it('removes only the valid block', function() {
+            assert.strictEqual(UnstructuredTextMasher.unmash(BROKEN_TEXT, BEGIN_TAG, END_TAG),
+                ORPHANED_END_TAG + TAMPERED_TEXT + BEGIN_TAG);
+        });
+
+        it('prunes orphaned tags and tampered blocks', function() {
+            const prunedText = UnstructuredTextMasher.prune(BROKEN_TEXT, BEGIN_TAG, END_TAG);
+            assert.strictEqual(prunedText,
+                UnstructuredTextMasher.mash(DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT_2, END_TAG));
+            assert.strictEqual(UnstructuredTextMasher.prune(prunedText, BEGIN_TAG, END_TAG), prunedText);
+        });
+
+        it('keeps the content of tampered blocks if asked to', function() {
+            const prunedText = UnstructuredTextMasher.prune(BROKEN_TEXT, BEGIN_TAG, END_TAG,
+                {keepTamperedContent: true});
+            assert.strictEqual(prunedText, UnstructuredTextMasher.mash(
+                DESTINATION_TEXT, BEGIN_TAG, SOURCE_TEXT_2, END_TAG) + TAMPERED_SOURCE_TEXT);
+        });
     });
 });
@@ -0,0 +1,60 @@
+
+'use strict';
+
+const assert = require('assert');
+const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+const VerificationReport = require('../lib/verification-report');
+
+describe('VerificationReport', function() {
+    const ReportFormat = VerificationReport.ReportFormat;
+    const MashState = UnstructuredTextMasher.MashState;
+    const TAGS = UnstructuredTextMasher.tagsFor('javascript');
+    const REPORT = {
+        directory: '.',
+        files: ['src/a.js', 'src/b&c.js', 'src/d.js'],
+        blocks: [
+            {file: 'src/a.js', state: MashState.Mashed, valid: true, line: 3, column: 1, tags: TAGS},
+            {file: 'src/b&c.js', state: MashState.Mashed, valid: true, line: 1, column: 1, tags: TAGS},
+            {file: 'src/b&c.js', state: MashState.FingerprintInvalid, valid: false, line: 9, column: 1, tags: TAGS}
+        ],
+        invalidBlocks: 1
+    };
+
+    describe('format', function() {
+        it('formats the report for people', function() {
+            assert.strictEqual(VerificationReport.format(REPORT, ReportFormat.Human), [
+                'src/a.js:3:1: mashed',
+                'src/b&c.js:1:1: mashed',
+                'src/b&c.js:9:1: fingerprint-invalid',
+                '3 block(s) in 3 file(s), 1 invalid',
+                ''
+            ].join('\n'));
+        });
+
+        it('formats the report as JSON', function() {
+            assert.deepStrictEqual(JSON.parse(VerificationReport.format(REPORT, ReportFormat.Json)), REPORT);
+        });
+
+        it('formats the report as JUnit XML', function() {
+            assert.strictEqual(VerificationReport.format(REPORT, ReportFormat.JUnit), [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites name="unstructured-text-masher" tests="3" failures="1">',
+                '  <testsuite name="src/a.js" tests="1" failures="0">',
+                '    <testcase classname="src/a.js" name="src/a.js:3:1"/>',
+                '  </testsuite>',
+                '  <testsuite name="src/b&amp;c.js" tests="2" failures="1">',
+                '    <testcase classname="src/b&amp;c.js" name="src/b&amp;c.js:1:1"/>',
+                '    <testcase classname="src/b&amp;c.js" name="src/b&amp;c.js:9:1">',
+                '      <failure type="fingerprint-invalid" message="fingerprint-invalid at src/b&amp;c.js:9:1"/>',
+                '    </testcase>',
+                '  </testsuite>',
+                '</testsuites>',
+                ''
+            ].join('\n'));
+        });
+
+        it('rejects unknown formats', function() {
+            assert.throws(() => VerificationReport.format(REPORT, 'yaml'));
+        });
+    });
+});
@@ -0,0 +1,53 @@
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const UnstructuredTextMasher = require('../lib/unstructured-text-masher');
+const Verification = require('../lib/verification');
+const TemporaryDirectory = require('./helpers/temporary-directory');
+
+describe('Verification', function() {
+    const MashState = UnstructuredTextMasher.MashState;
+    const TAGS = UnstructuredTextMasher.tagsFor('javascript');
+    const MASHED_TEXT = UnstructuredTextMasher.mash(
+        'const a = 1;\n', TAGS.beginTag, 'const b = 2;\n', TAGS.endTag);
+    var directory;
+
+    beforeEach(function() {
+        directory = TemporaryDirectory.create();
+        fs.writeFileSync(path.join(directory, 'mashed.js'), MASHED_TEXT);
+        fs.writeFileSync(path.join(directory, 'latin1.js'), Buffer.from(MASHED_TEXT + '// café\n', 'binary'));
+        fs.writeFileSync(path.join(directory, 'binary.js'),
+            Buffer.concat([Buffer.from([0]), Buffer.from(MASHED_TEXT)]));
+        fs.writeFileSync(path.join(directory, 'notes.txt'), MASHED_TEXT);
+    });
+
+    afterEach(function() {
+        TemporaryDirectory.remove(directory);
+    });
+
+    describe('verify', function() {
+        it('verifies the text files of known languages', function() {
+            const report = Verification.verify(directory);
+            assert.deepStrictEqual(report.files, ['latin1.js', 'mashed.js']);
+            assert.deepStrictEqual(_.map(report.blocks, (block) => [block.file, block.state, block.line]), [
+                ['latin1.js', MashState.Mashed, 2],
+                ['mashed.js', MashState.Mashed, 2]
+            ]);
+            assert.strictEqual(report.invalidBlocks, 0);
+        });
+
+        it('looks for the blocks with the tags returned for each file', function() {
+            const tagsOf = (file, text) => {
+                assert.strictEqual(text, fs.readFileSync(path.join(directory, file), 'utf8'));
+                return file === 'notes.txt' ? [TAGS] : [];
+            };
+            const report = Verification.verify(directory, {include: ['*.txt', 'mashed.js'], tags: tagsOf});
+            assert.deepStrictEqual(report.files, ['notes.txt']);
+            assert.deepStrictEqual(_.map(report.blocks, 'state'), [MashState.Mashed]);
+        });
+    });
+});